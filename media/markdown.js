@@ -0,0 +1,618 @@
+/**
+ * Markdown renderer for Local LLM Chat
+ * Security: Builds DOM nodes directly and only ever assigns text through
+ * textContent / createTextNode, so model output is never parsed as HTML.
+ */
+
+(function (global) {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Syntax highlighting
+  // ---------------------------------------------------------------------------
+
+  const LANGUAGE_ALIASES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+    ts: 'typescript', tsx: 'typescript', mts: 'typescript', cts: 'typescript',
+    py: 'python', sh: 'shell', bash: 'shell', zsh: 'shell', console: 'shell',
+    ps1: 'powershell', pwsh: 'powershell', cs: 'csharp', 'c#': 'csharp',
+    'c++': 'cpp', cc: 'cpp', h: 'c', hpp: 'cpp', rs: 'rust', rb: 'ruby',
+    yml: 'yaml', xml: 'html', svg: 'html', vue: 'html', htm: 'html',
+    scss: 'css', less: 'css', kt: 'kotlin', kts: 'kotlin', patch: 'diff',
+    jsonc: 'json', golang: 'go', md: 'markdown'
+  };
+
+  const KEYWORDS = {
+    javascript: 'async await break case catch class const continue debugger default delete do else export extends finally for from function if import in instanceof let new of return static super switch this throw try typeof var void while with yield',
+    typescript: 'abstract as async await break case catch class const continue declare default delete do else enum export extends finally for from function get if implements import in infer instanceof interface is keyof let module namespace new of private protected public readonly return set static super switch this throw try type typeof var void while with yield',
+    python: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+    java: 'abstract assert break case catch class const continue default do else enum extends final finally for if implements import instanceof interface native new package private protected public return static super switch synchronized this throw throws try void volatile while var record',
+    csharp: 'abstract as async await base break case catch class const continue default delegate do else enum event explicit extern finally fixed for foreach if implicit in interface internal is lock namespace new operator out override params private protected public readonly ref return sealed sizeof static struct switch this throw try typeof unchecked unsafe using var virtual void volatile while',
+    c: 'auto break case const continue default do else enum extern for goto if inline register return sizeof static struct switch typedef union volatile while',
+    cpp: 'auto break case catch class const constexpr continue default delete do else enum explicit extern for friend goto if inline namespace new noexcept operator private protected public return sizeof static struct switch template this throw try typedef typename union using virtual volatile while',
+    go: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+    rust: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while',
+    php: 'abstract and array as break case catch class const continue declare default do echo else elseif extends final finally fn for foreach function global if implements include interface namespace new or private protected public require return static switch throw trait try use var while yield',
+    ruby: 'alias and begin break case class def defined do else elsif end ensure for if in module next not or redo rescue retry return self super then undef unless until when while yield',
+    kotlin: 'as break class continue do else for fun if in interface is object package return super this throw try typealias val var when while',
+    swift: 'as break case catch class continue default defer do else enum extension for func guard if import in init let protocol return self static struct switch throw throws try var where while',
+    shell: 'if then else elif fi case esac for while until do done in function return export local readonly declare unset',
+    powershell: 'begin break catch class continue data do dynamicparam else elseif end exit filter finally for foreach from function if in param process return switch throw trap try until using while',
+    sql: 'add all alter and as asc between by case create delete desc distinct drop else end exists from group having in index inner insert into is join key left like limit not null on or order outer primary references right select set table then union unique update values when where with',
+    css: 'important media import keyframes font-face supports',
+    yaml: '',
+    json: '',
+    html: '',
+    diff: '',
+    markdown: ''
+  };
+
+  const LITERALS = 'true false null undefined None True False nil NaN Infinity';
+
+  /**
+   * Builds the ordered token rules for a language. The first rule that
+   * matches at the current position wins.
+   */
+  function buildRules(language) {
+    const rules = [];
+    const words = (list) => new RegExp('\\b(?:' + list.trim().split(/\s+/).join('|') + ')\\b', 'y');
+    const hashComments = ['python', 'shell', 'powershell', 'ruby', 'yaml'];
+    const sqlLike = ['sql'];
+
+    if (language === 'diff') {
+      rules.push(['inserted', /^\+.*$/my]);
+      rules.push(['deleted', /^-.*$/my]);
+      rules.push(['comment', /^@@.*$/my]);
+      return rules;
+    }
+
+    if (language === 'html') {
+      rules.push(['comment', /<!--[\s\S]*?-->/y]);
+      rules.push(['keyword', /<\/?[A-Za-z][\w:-]*|\/?>/y]);
+      rules.push(['string', /"[^"]*"|'[^']*'/y]);
+      rules.push(['function', /\b[A-Za-z_:][\w:.-]*(?==)/y]);
+      return rules;
+    }
+
+    if (language === 'json') {
+      rules.push(['property', /"(?:[^"\\\n]|\\.)*"(?=\s*:)/y]);
+      rules.push(['string', /"(?:[^"\\\n]|\\.)*"/y]);
+      rules.push(['number', /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/y]);
+      rules.push(['literal', /\b(?:true|false|null)\b/y]);
+      return rules;
+    }
+
+    if (language === 'yaml') {
+      rules.push(['comment', /#.*/y]);
+      rules.push(['property', /[\w.-]+(?=\s*:(?:\s|$))/y]);
+      rules.push(['string', /"(?:[^"\\\n]|\\.)*"|'[^'\n]*'/y]);
+      rules.push(['number', /\b\d+(?:\.\d+)?\b/y]);
+      rules.push(['literal', /\b(?:true|false|null|yes|no|on|off)\b/y]);
+      return rules;
+    }
+
+    if (language === 'css') {
+      rules.push(['comment', /\/\*[\s\S]*?\*\//y]);
+      rules.push(['string', /"[^"\n]*"|'[^'\n]*'/y]);
+      rules.push(['property', /[\w-]+(?=\s*:[^:{]*[;}])/y]);
+      rules.push(['keyword', /@[\w-]+/y]);
+      rules.push(['number', /-?\b\d+(?:\.\d+)?(?:px|em|rem|%|vh|vw|s|ms|deg)?\b|#[\da-fA-F]{3,8}\b/y]);
+      rules.push(['function', /[.#][\w-]+/y]);
+      return rules;
+    }
+
+    // Comments
+    if (hashComments.includes(language)) {
+      rules.push(['comment', /#.*/y]);
+    } else if (sqlLike.includes(language)) {
+      rules.push(['comment', /--.*/y]);
+      rules.push(['comment', /\/\*[\s\S]*?\*\//y]);
+    } else {
+      rules.push(['comment', /\/\/.*/y]);
+      rules.push(['comment', /\/\*[\s\S]*?\*\//y]);
+    }
+
+    // Strings
+    if (language === 'python') {
+      rules.push(['string', /(?:[rRbBuUfF]{0,2})("""[\s\S]*?"""|'''[\s\S]*?''')/y]);
+    }
+    if (language === 'javascript' || language === 'typescript') {
+      rules.push(['string', /`(?:[^`\\]|\\[\s\S])*`/y]);
+    }
+    rules.push(['string', /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/y]);
+
+    // Shell variables
+    if (language === 'shell' || language === 'powershell' || language === 'php') {
+      rules.push(['property', /\$\{?[\w:]+\}?/y]);
+    }
+
+    rules.push(['number', /\b(?:0[xX][\da-fA-F]+|0[bB][01]+|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)\b/y]);
+
+    const keywords = KEYWORDS[language];
+    if (keywords) {
+      rules.push(['keyword', language === 'sql'
+        ? new RegExp('\\b(?:' + keywords.split(' ').join('|') + ')\\b', 'iy')
+        : words(keywords)]);
+    }
+
+    rules.push(['literal', words(LITERALS)]);
+    rules.push(['function', /\b[A-Za-z_$][\w$]*(?=\s*\()/y]);
+    rules.push(['type', /\b[A-Z][\w$]*\b/y]);
+
+    return rules;
+  }
+
+  const rulesCache = {};
+
+  /**
+   * Normalizes a fence language name, returning undefined for unknown ones
+   */
+  function resolveLanguage(language) {
+    if (!language) {
+      return undefined;
+    }
+
+    const lower = language.toLowerCase();
+    const resolved = LANGUAGE_ALIASES[lower] || lower;
+    return Object.prototype.hasOwnProperty.call(KEYWORDS, resolved) ? resolved : undefined;
+  }
+
+  /**
+   * Appends highlighted code to a parent element
+   */
+  function highlight(parent, code, language) {
+    const resolved = resolveLanguage(language);
+    if (!resolved || resolved === 'markdown') {
+      parent.appendChild(document.createTextNode(code));
+      return;
+    }
+
+    const rules = rulesCache[resolved] || (rulesCache[resolved] = buildRules(resolved));
+    let plain = '';
+    let pos = 0;
+
+    const flushPlain = () => {
+      if (plain) {
+        parent.appendChild(document.createTextNode(plain));
+        plain = '';
+      }
+    };
+
+    while (pos < code.length) {
+      let matched = false;
+
+      // Only try to start a token at a word boundary or on a non-word character
+      const prev = pos > 0 ? code[pos - 1] : '';
+      const atBoundary = !/[\w$]/.test(prev) || !/[\w$]/.test(code[pos]);
+
+      if (atBoundary) {
+        for (const [className, regex] of rules) {
+          regex.lastIndex = pos;
+          const match = regex.exec(code);
+          if (match && match[0].length > 0) {
+            flushPlain();
+            const span = document.createElement('span');
+            span.className = `tok-${className}`;
+            span.textContent = match[0];
+            parent.appendChild(span);
+            pos += match[0].length;
+            matched = true;
+            break;
+          }
+        }
+      }
+
+      if (!matched) {
+        plain += code[pos];
+        pos++;
+      }
+    }
+
+    flushPlain();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inline Markdown
+  // ---------------------------------------------------------------------------
+
+  const INLINE_PATTERN = new RegExp([
+    '(`+)([\\s\\S]*?[^`])\\1(?!`)',                      // 1,2: code span
+    '\\[([^\\]\\n]+)\\]\\(((?:[^()\\s]|\\([^()\\s]*\\))+)(?:\\s+"[^"]*")?\\)', // 3,4: link
+    '(?<![*\\w])\\*\\*(?=\\S)([\\s\\S]*?\\S)\\*\\*(?![*\\w])', // 5: bold
+    '(?<![\\w])__(?=\\S)([\\s\\S]*?\\S)__(?![\\w])',      // 6: bold
+    '~~(?=\\S)([\\s\\S]*?\\S)~~',                         // 7: strikethrough
+    '(?<![*\\w])\\*(?=[^\\s*])([\\s\\S]*?[^\\s*])\\*(?![*\\w])', // 8: italic
+    '(?<![\\w])_(?=[^\\s_])([\\s\\S]*?[^\\s_])_(?![\\w])' // 9: italic
+  ].join('|'));
+
+  /**
+   * Only web and mail links are rendered as links
+   */
+  function isSafeUrl(url) {
+    return /^(https?:|mailto:)/i.test(url);
+  }
+
+  /**
+   * Appends text with line breaks preserved
+   */
+  function appendText(parent, text) {
+    const lines = text.split('\n');
+    lines.forEach((line, index) => {
+      if (index > 0) {
+        parent.appendChild(document.createElement('br'));
+      }
+      if (line) {
+        parent.appendChild(document.createTextNode(line));
+      }
+    });
+  }
+
+  /**
+   * Renders inline Markdown (code, links, emphasis) into a parent element
+   */
+  function renderInline(parent, text) {
+    let rest = text;
+
+    while (rest.length > 0) {
+      const match = INLINE_PATTERN.exec(rest);
+      if (!match) {
+        appendText(parent, rest);
+        return;
+      }
+
+      if (match.index > 0) {
+        appendText(parent, rest.slice(0, match.index));
+      }
+
+      if (match[1] !== undefined) {
+        const code = document.createElement('code');
+        code.textContent = match[2].replace(/^ (.*) $/, '$1');
+        parent.appendChild(code);
+      } else if (match[3] !== undefined) {
+        if (isSafeUrl(match[4])) {
+          const link = document.createElement('a');
+          link.href = match[4];
+          link.title = match[4];
+          renderInline(link, match[3]);
+          parent.appendChild(link);
+        } else {
+          renderInline(parent, match[3]);
+        }
+      } else if (match[5] !== undefined || match[6] !== undefined) {
+        const strong = document.createElement('strong');
+        renderInline(strong, match[5] !== undefined ? match[5] : match[6]);
+        parent.appendChild(strong);
+      } else if (match[7] !== undefined) {
+        const del = document.createElement('del');
+        renderInline(del, match[7]);
+        parent.appendChild(del);
+      } else {
+        const em = document.createElement('em');
+        renderInline(em, match[8] !== undefined ? match[8] : match[9]);
+        parent.appendChild(em);
+      }
+
+      rest = rest.slice(match.index + match[0].length);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Block Markdown
+  // ---------------------------------------------------------------------------
+
+  const FENCE_START = /^(\s{0,3})(`{3,}|~{3,})(.*)$/;
+  const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const HR = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+  const BLOCKQUOTE = /^\s{0,3}>\s?(.*)$/;
+  const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+  const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+
+  /**
+   * Gets the language for a fence info string. `file path="x.ts"` and
+   * `edit path="x.ts"` fences use the extension of the path.
+   */
+  function languageFromInfo(info) {
+    const trimmed = info.trim();
+    const pathMatch = /path="([^"]+)"/.exec(trimmed);
+    if (pathMatch) {
+      const ext = pathMatch[1].split('.').pop();
+      return ext || '';
+    }
+    return trimmed.split(/\s+/)[0] || '';
+  }
+
+  /**
+   * Splits a table row into trimmed cells
+   */
+  function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+    return row.split(/(?<!\\)\|/).map((cell) => cell.trim().replace(/\\\|/g, '|'));
+  }
+
+  /**
+   * Whether a line starts a block other than a paragraph
+   */
+  function startsBlock(line, nextLine) {
+    return FENCE_START.test(line) || HEADING.test(line) || HR.test(line) ||
+      BLOCKQUOTE.test(line) || LIST_ITEM.test(line) ||
+      (line.includes('|') && nextLine !== undefined && TABLE_SEPARATOR.test(nextLine) && nextLine.includes('-'));
+  }
+
+  function indentOf(line) {
+    return line.match(/^\s*/)[0].replace(/\t/g, '    ').length;
+  }
+
+  /**
+   * Renders a fenced code block. `options.decorateCodeBlock` may add
+   * controls (e.g. action buttons) to the block.
+   */
+  function renderCodeBlock(parent, code, info, options) {
+    const language = languageFromInfo(info);
+
+    const block = document.createElement('div');
+    block.className = 'code-block';
+
+    const header = document.createElement('div');
+    header.className = 'code-header';
+
+    const label = document.createElement('span');
+    label.className = 'code-lang';
+    label.textContent = info.trim() || 'text';
+    header.appendChild(label);
+
+    const pre = document.createElement('pre');
+    const codeElement = document.createElement('code');
+    const resolved = resolveLanguage(language);
+    if (resolved) {
+      codeElement.className = `language-${resolved}`;
+    }
+    highlight(codeElement, code, language);
+    pre.appendChild(codeElement);
+
+    block.appendChild(header);
+    block.appendChild(pre);
+    parent.appendChild(block);
+
+    if (options && typeof options.decorateCodeBlock === 'function') {
+      options.decorateCodeBlock(block, header, { code, info: info.trim(), language });
+    }
+  }
+
+  /**
+   * Renders a table starting at the header line; returns the next line index
+   */
+  function renderTable(parent, lines, start) {
+    const headerCells = splitRow(lines[start]);
+    const alignments = splitRow(lines[start + 1]).map((cell) => {
+      const left = cell.startsWith(':');
+      const right = cell.endsWith(':');
+      return left && right ? 'center' : right ? 'right' : left ? 'left' : '';
+    });
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-wrapper';
+    const table = document.createElement('table');
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+
+    headerCells.forEach((cell, index) => {
+      const th = document.createElement('th');
+      if (alignments[index]) th.style.textAlign = alignments[index];
+      renderInline(th, cell);
+      headRow.appendChild(th);
+    });
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    let i = start + 2;
+    while (i < lines.length && lines[i].trim() !== '' && lines[i].includes('|')) {
+      const row = document.createElement('tr');
+      const cells = splitRow(lines[i]);
+      headerCells.forEach((_, index) => {
+        const td = document.createElement('td');
+        if (alignments[index]) td.style.textAlign = alignments[index];
+        renderInline(td, cells[index] || '');
+        row.appendChild(td);
+      });
+      tbody.appendChild(row);
+      i++;
+    }
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+
+    return i;
+  }
+
+  /**
+   * Renders a list starting at `start`; returns the next line index
+   */
+  function renderList(parent, lines, start, options) {
+    const first = LIST_ITEM.exec(lines[start]);
+    const baseIndent = indentOf(first[1]);
+    const ordered = /\d/.test(first[2]);
+
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered) {
+      const startNumber = parseInt(first[2], 10);
+      if (startNumber !== 1) list.start = startNumber;
+    }
+
+    let i = start;
+    while (i < lines.length) {
+      const match = LIST_ITEM.exec(lines[i]);
+      if (!match || indentOf(match[1]) !== baseIndent || /\d/.test(match[2]) !== ordered) {
+        break;
+      }
+
+      // Collect the item's own lines: its text plus more-indented
+      // continuation lines and nested lists
+      const itemLines = [match[3]];
+      const contentIndent = match[0].length - match[3].length;
+      i++;
+
+      while (i < lines.length) {
+        const line = lines[i];
+        if (line.trim() === '') {
+          const next = lines[i + 1];
+          if (next !== undefined && next.trim() !== '' && indentOf(next) > baseIndent) {
+            itemLines.push('');
+            i++;
+            continue;
+          }
+          break;
+        }
+        if (indentOf(line) <= baseIndent) {
+          break;
+        }
+        itemLines.push(line.slice(Math.min(indentOf(line), contentIndent)));
+        i++;
+      }
+
+      const li = document.createElement('li');
+      const taskMatch = /^\[([ xX])\]\s+/.exec(itemLines[0]);
+      if (taskMatch) {
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.disabled = true;
+        checkbox.checked = taskMatch[1] !== ' ';
+        li.appendChild(checkbox);
+        itemLines[0] = itemLines[0].slice(taskMatch[0].length);
+      }
+
+      // Tight items render their text inline rather than as a paragraph
+      if (itemLines.length === 1) {
+        renderInline(li, itemLines[0]);
+      } else {
+        renderBlocks(li, itemLines, options, true);
+      }
+      list.appendChild(li);
+
+      // A blank line followed by another item of the same list continues it
+      if (i < lines.length && lines[i].trim() === '') {
+        const next = LIST_ITEM.exec(lines[i + 1] || '');
+        if (next && indentOf(next[1]) === baseIndent && /\d/.test(next[2]) === ordered) {
+          i++;
+        }
+      }
+    }
+
+    parent.appendChild(list);
+    return i;
+  }
+
+  /**
+   * Renders block-level Markdown lines into a parent element
+   *
+   * @param tight - Render a leading paragraph inline (used inside list items)
+   */
+  function renderBlocks(parent, lines, options, tight) {
+    let i = 0;
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      if (line.trim() === '') {
+        i++;
+        continue;
+      }
+
+      // Fenced code block
+      const fence = FENCE_START.exec(line);
+      if (fence) {
+        const marker = fence[2];
+        const codeLines = [];
+        i++;
+        while (i < lines.length) {
+          const closing = lines[i].trim();
+          if (closing.startsWith(marker[0].repeat(marker.length)) && closing.replace(new RegExp('^\\' + marker[0] + '+'), '') === '') {
+            break;
+          }
+          codeLines.push(lines[i].slice(Math.min(indentOf(lines[i]), fence[1].length)));
+          i++;
+        }
+        i++; // closing fence (or end of text for unclosed fences)
+        renderCodeBlock(parent, codeLines.join('\n'), fence[3], options);
+        continue;
+      }
+
+      // Heading
+      const heading = HEADING.exec(line);
+      if (heading) {
+        const h = document.createElement(`h${heading[1].length}`);
+        renderInline(h, heading[2]);
+        parent.appendChild(h);
+        i++;
+        continue;
+      }
+
+      // Horizontal rule
+      if (HR.test(line)) {
+        parent.appendChild(document.createElement('hr'));
+        i++;
+        continue;
+      }
+
+      // Blockquote
+      if (BLOCKQUOTE.test(line)) {
+        const quoteLines = [];
+        while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+          quoteLines.push(BLOCKQUOTE.exec(lines[i])[1]);
+          i++;
+        }
+        const blockquote = document.createElement('blockquote');
+        renderBlocks(blockquote, quoteLines, options);
+        parent.appendChild(blockquote);
+        continue;
+      }
+
+      // Table
+      if (line.includes('|') && i + 1 < lines.length &&
+          TABLE_SEPARATOR.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+        i = renderTable(parent, lines, i);
+        continue;
+      }
+
+      // List
+      if (LIST_ITEM.test(line)) {
+        i = renderList(parent, lines, i, options);
+        continue;
+      }
+
+      // Paragraph
+      const paragraphLines = [line.trim()];
+      i++;
+      while (i < lines.length && lines[i].trim() !== '' && !startsBlock(lines[i], lines[i + 1])) {
+        paragraphLines.push(lines[i].trim());
+        i++;
+      }
+
+      if (tight && parent.childNodes.length === 0) {
+        renderInline(parent, paragraphLines.join('\n'));
+      } else {
+        const p = document.createElement('p');
+        renderInline(p, paragraphLines.join('\n'));
+        parent.appendChild(p);
+      }
+    }
+  }
+
+  /**
+   * Renders Markdown text into a DocumentFragment
+   *
+   * @param text - Markdown source
+   * @param options - `decorateCodeBlock(block, header, { code, info, language })`
+   *                  is called for every fenced code block
+   */
+  function render(text, options) {
+    const fragment = document.createDocumentFragment();
+    renderBlocks(fragment, String(text).replace(/\r\n?/g, '\n').split('\n'), options || {});
+    return fragment;
+  }
+
+  global.LocalLLMMarkdown = { render, highlight };
+
+})(window);
@@ -1,6 +1,7 @@
 /**
  * Webview script for Local LLM Chat
- * Security: Uses textContent instead of innerHTML to prevent XSS
+ * Security: Uses textContent instead of innerHTML to prevent XSS;
+ * Markdown is rendered by markdown.js, which builds DOM nodes directly
  */
 
 (function () {
@@ -11,6 +12,36 @@
   const inputElement = document.getElementById('input');
   const sendButton = document.getElementById('sendBtn');
   const clearButton = document.getElementById('clearBtn');
+  const stopButton = document.getElementById('stopBtn');
+  const modelSelect = document.getElementById('modelSelect');
+  const refreshModelsButton = document.getElementById('refreshModelsBtn');
+  const sessionSelect = document.getElementById('sessionSelect');
+  const newSessionButton = document.getElementById('newSessionBtn');
+  const renameSessionButton = document.getElementById('renameSessionBtn');
+  const promptSessionButton = document.getElementById('promptSessionBtn');
+  const deleteSessionButton = document.getElementById('deleteSessionBtn');
+  const summaryContainer = document.getElementById('summary');
+  const contextMeter = document.getElementById('contextMeter');
+  const contextMeterFill = document.getElementById('contextMeterFill');
+  const contextMeterLabel = document.getElementById('contextMeterLabel');
+  const attachmentsContainer = document.getElementById('attachments');
+  const mentionMenu = document.getElementById('mentionMenu');
+
+  const ATTACHMENT_ICONS = { file: '📄', folder: '📁', symbol: '🔣' };
+
+  // Message currently being streamed, if any
+  let streamingMessage = null;
+  // "Retrying…" line shown while a request waits for its next attempt
+  let retryStatus = null;
+  // Whether a request is running
+  let busy = false;
+  // Items mentioned with @, sent along with the next chat message
+  let attachments = [];
+  // @-mention being typed: where it starts in the input, and the text after @
+  let mention = null;
+  let mentionSuggestions = [];
+  let mentionSelected = 0;
+  let mentionTimer = null;
 
   /**
    * Escapes HTML to prevent XSS attacks
@@ -21,12 +52,87 @@
     return div.innerHTML;
   }
 
+  /**
+   * Renders message content. Assistant and user messages are rendered as
+   * Markdown (DOM nodes only, never innerHTML); system messages stay plain.
+   */
+  function renderContent(contentDiv, role, content) {
+    contentDiv.textContent = '';
+
+    if (role === 'system' || !window.LocalLLMMarkdown) {
+      contentDiv.classList.remove('markdown');
+      contentDiv.textContent = content;
+      return;
+    }
+
+    contentDiv.classList.add('markdown');
+    contentDiv.appendChild(window.LocalLLMMarkdown.render(content, {
+      decorateCodeBlock: role === 'assistant' ? addCodeActions : undefined
+    }));
+  }
+
+  /**
+   * Adds Copy / Insert / Replace / Open buttons to a code block header
+   */
+  function addCodeActions(block, header, info) {
+    const actions = document.createElement('div');
+    actions.className = 'code-actions';
+
+    const addAction = (label, title, type) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.onclick = () => {
+        vscode.postMessage({ type: type, code: info.code, language: info.language });
+      };
+      actions.appendChild(button);
+    };
+
+    addAction('Copy', 'Copy to clipboard', 'code:copy');
+    addAction('Insert', 'Insert at cursor in the active editor', 'code:insert');
+    addAction('Replace', 'Replace the selection in the active editor', 'code:replace');
+    addAction('Open', 'Open in a new untitled editor', 'code:open');
+
+    header.appendChild(actions);
+  }
+
+  /**
+   * Adds a stats footer (token counts, timings) to a message
+   */
+  function appendStats(messageDiv, stats) {
+    if (!stats) {
+      return;
+    }
+
+    const statsDiv = document.createElement('div');
+    statsDiv.className = 'message-stats';
+    statsDiv.textContent = stats;
+    messageDiv.appendChild(statsDiv);
+  }
+
+  /**
+   * Lists the items attached to a user message below its text
+   */
+  function appendAttachedNote(messageDiv, attached) {
+    if (!Array.isArray(attached) || attached.length === 0) {
+      return;
+    }
+
+    const noteDiv = document.createElement('div');
+    noteDiv.className = 'message-attached';
+    noteDiv.textContent = `📎 ${attached.join(' · ')}`;
+    messageDiv.appendChild(noteDiv);
+  }
+
   /**
    * Appends a message to the chat
    */
-  function appendMessage(role, content) {
+  function appendMessage(role, content, cancelled, stats, messageId, branch, attached) {
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}`;
+    if (cancelled) {
+      messageDiv.classList.add('cancelled');
+    }
 
     const roleDiv = document.createElement('div');
     roleDiv.className = 'message-role';
@@ -34,15 +140,213 @@
 
     const contentDiv = document.createElement('div');
     contentDiv.className = 'message-content';
-    contentDiv.textContent = content; // Safe: uses textContent, not innerHTML
+    renderContent(contentDiv, role, content);
+    // Kept for editing, since the rendered Markdown loses the source text
+    messageDiv.dataset.content = content;
 
     messageDiv.appendChild(roleDiv);
     messageDiv.appendChild(contentDiv);
+    appendAttachedNote(messageDiv, attached);
+    appendStats(messageDiv, stats);
+    setMessageActions(messageDiv, messageId, branch);
     messagesContainer.appendChild(messageDiv);
 
     scrollToBottom();
   }
 
+  /**
+   * Adds Edit (user) or Regenerate (assistant) actions to a stored message,
+   * and the branch navigator if the conversation has several versions from
+   * this message on
+   */
+  function setMessageActions(messageDiv, messageId, branch) {
+    if (!messageId) {
+      return;
+    }
+    messageDiv.dataset.messageId = messageId;
+
+    const roleDiv = messageDiv.querySelector('.message-role');
+    const existing = roleDiv.querySelector('.message-actions');
+    if (existing) {
+      existing.remove();
+    }
+
+    const actions = document.createElement('span');
+    actions.className = 'message-actions';
+
+    if (branch && branch.count > 1) {
+      const nav = document.createElement('span');
+      nav.className = 'branch-nav';
+
+      const previous = document.createElement('button');
+      previous.textContent = '‹';
+      previous.title = 'Previous version';
+      previous.disabled = branch.index === 0;
+      previous.onclick = () => {
+        vscode.postMessage({ type: 'message:branch', messageId: messageId, delta: -1 });
+      };
+
+      const label = document.createElement('span');
+      label.textContent = `${branch.index + 1}/${branch.count}`;
+
+      const next = document.createElement('button');
+      next.textContent = '›';
+      next.title = 'Next version';
+      next.disabled = branch.index === branch.count - 1;
+      next.onclick = () => {
+        vscode.postMessage({ type: 'message:branch', messageId: messageId, delta: 1 });
+      };
+
+      nav.appendChild(previous);
+      nav.appendChild(label);
+      nav.appendChild(next);
+      actions.appendChild(nav);
+    }
+
+    if (messageDiv.classList.contains('user')) {
+      const editButton = document.createElement('button');
+      editButton.className = 'message-action';
+      editButton.textContent = 'Edit';
+      editButton.title = 'Edit this message and get a new reply; the current version is kept';
+      editButton.onclick = () => editMessage(messageDiv, messageId);
+      actions.appendChild(editButton);
+    } else if (messageDiv.classList.contains('assistant')) {
+      const regenerateButton = document.createElement('button');
+      regenerateButton.className = 'message-action';
+      regenerateButton.textContent = 'Regenerate';
+      regenerateButton.title = 'Get another reply; the current version is kept';
+      regenerateButton.onclick = () => {
+        vscode.postMessage({ type: 'message:regenerate', messageId: messageId });
+      };
+      actions.appendChild(regenerateButton);
+    }
+
+    roleDiv.appendChild(actions);
+  }
+
+  /**
+   * Turns a user message into an editor; sending replaces the message and
+   * everything after it with a new branch
+   */
+  function editMessage(messageDiv, messageId) {
+    const contentDiv = messageDiv.querySelector('.message-content');
+    if (!contentDiv || messageDiv.querySelector('.message-editor')) {
+      return;
+    }
+
+    const editor = document.createElement('div');
+    editor.className = 'message-editor';
+
+    const textarea = document.createElement('textarea');
+    textarea.value = messageDiv.dataset.content ?? contentDiv.textContent;
+
+    const buttons = document.createElement('div');
+    buttons.className = 'message-editor-buttons';
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Send';
+    saveButton.onclick = () => {
+      if (textarea.value.trim()) {
+        vscode.postMessage({ type: 'message:edit', messageId: messageId, text: textarea.value });
+      }
+    };
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.onclick = () => {
+      editor.remove();
+      contentDiv.hidden = false;
+    };
+
+    textarea.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        saveButton.click();
+      } else if (e.key === 'Escape') {
+        cancelButton.click();
+      }
+    });
+
+    buttons.appendChild(saveButton);
+    buttons.appendChild(cancelButton);
+    editor.appendChild(textarea);
+    editor.appendChild(buttons);
+    contentDiv.hidden = true;
+    contentDiv.after(editor);
+    textarea.focus();
+  }
+
+  /**
+   * Starts a streamed message: creates an empty bubble that grows as deltas arrive
+   */
+  function startStreamingMessage(role) {
+    const messageDiv = document.createElement('div');
+    messageDiv.className = `message ${role} streaming`;
+
+    const roleDiv = document.createElement('div');
+    roleDiv.className = 'message-role';
+    roleDiv.textContent = role.toUpperCase();
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'message-content';
+
+    messageDiv.appendChild(roleDiv);
+    messageDiv.appendChild(contentDiv);
+    messagesContainer.appendChild(messageDiv);
+
+    streamingMessage = { messageDiv, contentDiv, role };
+    scrollToBottom();
+  }
+
+  /**
+   * Appends a delta to the streamed message
+   */
+  function appendStreamingDelta(delta) {
+    if (!streamingMessage) {
+      startStreamingMessage('assistant');
+    }
+
+    // Safe: text nodes are never parsed as HTML
+    streamingMessage.contentDiv.appendChild(document.createTextNode(delta));
+    scrollToBottom();
+  }
+
+  /**
+   * Finishes the streamed message, replacing it with the final content if given.
+   * An empty bubble (e.g. when the request failed before any delta) is removed.
+   */
+  function endStreamingMessage(content, cancelled, stats, messageId) {
+    if (!streamingMessage) {
+      return;
+    }
+
+    const { messageDiv, contentDiv, role } = streamingMessage;
+    streamingMessage = null;
+
+    messageDiv.classList.remove('streaming');
+    if (cancelled) {
+      messageDiv.classList.add('cancelled');
+    }
+
+    // Deltas are shown as plain text while streaming; render the final text once
+    const finalContent = content !== undefined ? content : contentDiv.textContent;
+    if (finalContent) {
+      renderContent(contentDiv, role, finalContent);
+    } else {
+      contentDiv.textContent = '';
+    }
+
+    if (!contentDiv.textContent) {
+      messageDiv.remove();
+    } else {
+      appendStats(messageDiv, stats);
+      setMessageActions(messageDiv, messageId);
+    }
+
+    scrollToBottom();
+  }
+
   /**
    * Displays an error message
    */
@@ -65,10 +369,33 @@
     scrollToBottom();
   }
 
+  /**
+   * Shows or updates the status line of a request that is being retried
+   */
+  function showRetryStatus(text) {
+    if (!retryStatus) {
+      retryStatus = document.createElement('div');
+      retryStatus.className = 'retry-status';
+      messagesContainer.appendChild(retryStatus);
+    }
+    retryStatus.textContent = text;
+    scrollToBottom();
+  }
+
+  /**
+   * Removes the retry status line once the request gets an answer or ends
+   */
+  function clearRetryStatus() {
+    if (retryStatus) {
+      retryStatus.remove();
+      retryStatus = null;
+    }
+  }
+
   /**
    * Displays a file suggestion with create button
    */
-  function suggestFile(filePath, content) {
+  function suggestFile(filePath, content, messageTimestamp) {
     const suggestionDiv = document.createElement('div');
     suggestionDiv.className = 'file-suggestion';
 
@@ -85,7 +412,7 @@
     createButton.onclick = () => {
       vscode.postMessage({
         type: 'file:create',
-        file: { path: filePath, content: content }
+        file: { path: filePath, content: content, messageTimestamp: messageTimestamp }
       });
     };
 
@@ -104,10 +431,170 @@
     scrollToBottom();
   }
 
+  /**
+   * Displays a targeted edit with a preview button
+   */
+  function suggestEdit(edit, summary) {
+    const suggestionDiv = document.createElement('div');
+    suggestionDiv.className = 'file-suggestion';
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'file-suggestion-header';
+
+    const pathSpan = document.createElement('span');
+    pathSpan.className = 'file-path';
+    pathSpan.textContent = summary ? `${edit.path} (${summary})` : edit.path;
+
+    const previewButton = document.createElement('button');
+    previewButton.textContent = 'Preview Edit';
+    previewButton.onclick = () => {
+      vscode.postMessage({ type: 'edit:apply', edit: edit });
+    };
+
+    headerDiv.appendChild(pathSpan);
+    headerDiv.appendChild(previewButton);
+
+    // Hunks as removed / added lines
+    const previewDiv = document.createElement('div');
+    previewDiv.className = 'file-preview';
+    previewDiv.textContent = edit.hunks.map((hunk) => {
+      const removed = hunk.search ? hunk.search.split('\n').map((line) => `- ${line}`) : [];
+      const added = hunk.replace ? hunk.replace.split('\n').map((line) => `+ ${line}`) : [];
+      return removed.concat(added).join('\n');
+    }).join('\n···\n');
+
+    suggestionDiv.appendChild(headerDiv);
+    suggestionDiv.appendChild(previewDiv);
+    messagesContainer.appendChild(suggestionDiv);
+
+    scrollToBottom();
+  }
+
+  /**
+   * Shows the file and edit cards of a restored reply
+   */
+  function offerSuggestions(item) {
+    const files = Array.isArray(item.files) ? item.files : [];
+    for (const file of files) {
+      suggestFile(file.path, file.content, file.messageTimestamp);
+    }
+    if (files.length > 1) {
+      suggestAllFiles(files);
+    }
+    for (const edit of Array.isArray(item.edits) ? item.edits : []) {
+      suggestEdit(edit);
+    }
+  }
+
+  /**
+   * Displays an "Apply All" card for a reply that proposes several files
+   */
+  function suggestAllFiles(files) {
+    const suggestionDiv = document.createElement('div');
+    suggestionDiv.className = 'file-suggestion';
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'file-suggestion-header';
+
+    const summarySpan = document.createElement('span');
+    summarySpan.className = 'file-path';
+    summarySpan.textContent = `${files.length} files proposed`;
+
+    const applyButton = document.createElement('button');
+    applyButton.textContent = 'Apply All…';
+    applyButton.title = 'Choose files and apply them as one undoable change';
+    applyButton.onclick = () => {
+      vscode.postMessage({ type: 'file:applyAll', files: files });
+    };
+
+    headerDiv.appendChild(summarySpan);
+    headerDiv.appendChild(applyButton);
+    suggestionDiv.appendChild(headerDiv);
+    messagesContainer.appendChild(suggestionDiv);
+
+    scrollToBottom();
+  }
+
+  /**
+   * Shows the pinned conversation summary, or hides it if there is none
+   */
+  function showSummary(summary) {
+    summaryContainer.textContent = '';
+    summaryContainer.hidden = !summary;
+    if (!summary) {
+      return;
+    }
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'summary-header';
+
+    const title = document.createElement('span');
+    title.textContent = summary.messageCount > 0
+      ? `📌 Conversation summary (replaces ${summary.messageCount} earlier messages)`
+      : '📌 Conversation summary';
+
+    const editButton = document.createElement('button');
+    editButton.className = 'secondary';
+    editButton.textContent = 'Edit';
+    editButton.title = 'Edit the summary the model sees instead of the earlier messages';
+    editButton.onclick = () => editSummary(summary);
+
+    const contentDiv = document.createElement('div');
+    contentDiv.className = 'summary-content';
+    contentDiv.textContent = summary.content;
+
+    headerDiv.appendChild(title);
+    headerDiv.appendChild(editButton);
+    summaryContainer.appendChild(headerDiv);
+    summaryContainer.appendChild(contentDiv);
+  }
+
+  /**
+   * Replaces the summary with an editor; saving an empty text removes it
+   */
+  function editSummary(summary) {
+    summaryContainer.textContent = '';
+
+    const headerDiv = document.createElement('div');
+    headerDiv.className = 'summary-header';
+
+    const title = document.createElement('span');
+    title.textContent = '📌 Edit conversation summary';
+
+    const actions = document.createElement('div');
+    actions.className = 'summary-actions';
+
+    const saveButton = document.createElement('button');
+    saveButton.textContent = 'Save';
+
+    const cancelButton = document.createElement('button');
+    cancelButton.className = 'secondary';
+    cancelButton.textContent = 'Cancel';
+    cancelButton.onclick = () => showSummary(summary);
+
+    const textarea = document.createElement('textarea');
+    textarea.value = summary.content;
+    textarea.placeholder = 'Leave empty to remove the summary';
+
+    saveButton.onclick = () => {
+      vscode.postMessage({ type: 'summary:update', text: textarea.value });
+    };
+
+    actions.appendChild(saveButton);
+    actions.appendChild(cancelButton);
+    headerDiv.appendChild(title);
+    headerDiv.appendChild(actions);
+    summaryContainer.appendChild(headerDiv);
+    summaryContainer.appendChild(textarea);
+    textarea.focus();
+  }
+
   /**
    * Clears all messages from the chat
    */
   function clearMessages() {
+    streamingMessage = null;
+    retryStatus = null;
     messagesContainer.innerHTML = '';
   }
 
@@ -125,6 +612,12 @@
     const text = inputElement.value.trim();
     if (!text) return;
 
+    // Keep the text in the input rather than send it while a reply is running
+    if (busy && !text.startsWith('/')) {
+      showError('A request is already running. Stop it or wait for it to finish; your message is kept in the input.');
+      return;
+    }
+
     // Check for /write command
     if (text.startsWith('/write ')) {
       const firstNewline = text.indexOf('\n');
@@ -139,23 +632,332 @@
           });
 
           appendMessage('user', text);
-          appendMessage('assistant', `Proposed creating "${path}". A confirmation dialog will appear.`);
+          appendMessage('assistant', `Proposed creating "${path}". A diff preview will open for review.`);
           inputElement.value = '';
           return;
         }
       }
     }
 
-    // Regular chat message
+    // Regular chat message; commands leave the attachments for the next message
+    const isCommand = text.startsWith('/');
     vscode.postMessage({
       type: 'chat:send',
-      text: text
+      text: text,
+      attachments: isCommand ? undefined : attachments
+        .filter(attachment => !attachment.error)
+        .map(({ error, ...attachment }) => attachment)
     });
 
+    if (!isCommand) {
+      attachments = [];
+      renderAttachments();
+    }
+    closeMentionMenu();
     inputElement.value = '';
     inputElement.focus();
   }
 
+  /**
+   * Identifies an attachment, so the same item isn't attached twice
+   */
+  function getAttachmentKey(attachment) {
+    return [attachment.kind, attachment.path, attachment.symbol || '', attachment.startLine ?? ''].join(':');
+  }
+
+  /**
+   * Formats a byte count, e.g. 12345 as "12.1 KB"
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) {
+      return `${bytes} B`;
+    }
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
+  /**
+   * Adds an attachment chip and asks the extension for its size
+   */
+  function addAttachment(attachment) {
+    const key = getAttachmentKey(attachment);
+    if (attachments.some(existing => getAttachmentKey(existing) === key)) {
+      return;
+    }
+
+    attachments.push(attachment);
+    renderAttachments();
+    vscode.postMessage({ type: 'attachment:measure', attachment: attachment });
+  }
+
+  /**
+   * Fills in the size of an attachment chip, or marks it as failed
+   */
+  function setAttachmentSize(attachment, error) {
+    const key = getAttachmentKey(attachment);
+    const index = attachments.findIndex(existing => getAttachmentKey(existing) === key);
+    if (index !== -1) {
+      attachments[index] = error ? { ...attachments[index], error: error } : attachment;
+      renderAttachments();
+    }
+  }
+
+  /**
+   * Shows the attachment chips above the input
+   */
+  function renderAttachments() {
+    attachmentsContainer.innerHTML = '';
+    attachmentsContainer.hidden = attachments.length === 0;
+
+    attachments.forEach((attachment, index) => {
+      const chip = document.createElement('span');
+      chip.className = 'attachment-chip';
+
+      const name = document.createElement('span');
+      const label = attachment.kind === 'symbol' ? attachment.symbol
+        : attachment.kind === 'folder' ? `${attachment.path}/`
+          : attachment.path;
+      name.textContent = `${ATTACHMENT_ICONS[attachment.kind] || ''} ${label}`;
+      name.title = attachment.kind === 'symbol' ? `${attachment.symbol} in ${attachment.path}` : attachment.path;
+
+      const size = document.createElement('span');
+      size.className = 'attachment-size';
+      if (attachment.error) {
+        chip.classList.add('error');
+        chip.title = `Won't be attached: ${attachment.error}`;
+        size.textContent = '⚠';
+      } else if (attachment.size !== undefined) {
+        size.textContent = `${formatSize(attachment.size)} · ~${formatTokens(attachment.tokens)} tokens`;
+      } else {
+        size.textContent = '…';
+      }
+
+      const removeButton = document.createElement('button');
+      removeButton.textContent = '×';
+      removeButton.title = 'Remove';
+      removeButton.onclick = () => {
+        attachments.splice(index, 1);
+        renderAttachments();
+        inputElement.focus();
+      };
+
+      chip.appendChild(name);
+      chip.appendChild(size);
+      chip.appendChild(removeButton);
+      attachmentsContainer.appendChild(chip);
+    });
+  }
+
+  /**
+   * Looks for an @-mention right before the cursor and asks the extension
+   * for matching files, folders and symbols
+   */
+  function updateMention() {
+    const caret = inputElement.selectionStart;
+    const match = /(^|\s)@([^\s@]*)$/.exec(inputElement.value.slice(0, caret));
+    if (!match || inputElement.selectionEnd !== caret) {
+      closeMentionMenu();
+      return;
+    }
+
+    const query = match[2];
+    mention = { start: caret - query.length - 1, query: query };
+    clearTimeout(mentionTimer);
+    mentionTimer = setTimeout(() => {
+      vscode.postMessage({ type: 'mention:search', query: query });
+    }, 150);
+  }
+
+  /**
+   * Shows the suggestions for the @-mention being typed, unless the user
+   * has typed on since the search started
+   */
+  function showMentionResults(query, suggestions) {
+    if (!mention || mention.query !== query) {
+      return;
+    }
+
+    mentionSuggestions = suggestions;
+    mentionSelected = 0;
+    renderMentionMenu();
+  }
+
+  /**
+   * Renders the @-mention suggestion list
+   */
+  function renderMentionMenu() {
+    mentionMenu.innerHTML = '';
+
+    if (mentionSuggestions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'mention-item';
+      empty.textContent = 'No matching files, folders or symbols';
+      mentionMenu.appendChild(empty);
+    }
+
+    mentionSuggestions.forEach((suggestion, index) => {
+      const item = document.createElement('div');
+      item.className = 'mention-item';
+      item.setAttribute('role', 'option');
+      if (index === mentionSelected) {
+        item.classList.add('selected');
+        item.setAttribute('aria-selected', 'true');
+      }
+
+      const label = document.createElement('span');
+      label.textContent = `${ATTACHMENT_ICONS[suggestion.attachment.kind] || ''} ${suggestion.label}`;
+
+      const detail = document.createElement('span');
+      detail.className = 'mention-detail';
+      detail.textContent = suggestion.detail || '';
+
+      // mousedown keeps the focus in the input
+      item.addEventListener('mousedown', (event) => {
+        event.preventDefault();
+        pickMention(index);
+      });
+
+      item.appendChild(label);
+      item.appendChild(detail);
+      mentionMenu.appendChild(item);
+    });
+
+    mentionMenu.hidden = false;
+    const selected = mentionMenu.querySelector('.selected');
+    if (selected) {
+      selected.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Completes the typed @-mention with the item's name and attaches the item
+   */
+  function pickMention(index) {
+    const suggestion = mentionSuggestions[index];
+    if (!suggestion || !mention) {
+      return;
+    }
+
+    const value = inputElement.value;
+    const caret = inputElement.selectionStart;
+    const reference = `@${suggestion.label} `;
+    inputElement.value = value.slice(0, mention.start) + reference + value.slice(caret);
+    inputElement.selectionStart = inputElement.selectionEnd = mention.start + reference.length;
+
+    closeMentionMenu();
+    addAttachment(suggestion.attachment);
+    inputElement.focus();
+  }
+
+  /**
+   * Hides the @-mention suggestions
+   */
+  function closeMentionMenu() {
+    clearTimeout(mentionTimer);
+    mention = null;
+    mentionSuggestions = [];
+    mentionMenu.hidden = true;
+  }
+
+  /**
+   * Toggles between the Send and Stop buttons while a request is running
+   */
+  function setBusy(isBusy) {
+    busy = isBusy;
+    sendButton.hidden = isBusy;
+    stopButton.hidden = !isBusy;
+  }
+
+  /**
+   * Handles stop button click
+   */
+  function cancelRequest() {
+    vscode.postMessage({ type: 'chat:cancel' });
+  }
+
+  /**
+   * Formats a token count, e.g. 12345 as "12.3k"
+   */
+  function formatTokens(tokens) {
+    return tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens);
+  }
+
+  /**
+   * Shows how much of the context window the next request takes up
+   */
+  function setContextUsage(usage) {
+    const ratio = usage.budget > 0 ? usage.usedTokens / usage.budget : 1;
+    const trimmed = usage.droppedMessages > 0 || usage.truncatedMessages > 0;
+
+    contextMeter.hidden = false;
+    contextMeter.classList.toggle('warning', ratio >= 0.8 && !trimmed);
+    contextMeter.classList.toggle('full', trimmed);
+    contextMeterFill.style.width = `${Math.min(100, Math.round(ratio * 100))}%`;
+    contextMeterLabel.textContent = `${formatTokens(usage.usedTokens)} / ${formatTokens(usage.budget)}`;
+
+    const details = [
+      `Context used: ~${usage.usedTokens} of ${usage.budget} prompt tokens ` +
+        `(${usage.contextWindow} token window minus the reply's max tokens)`
+    ];
+    if (usage.droppedMessages > 0) {
+      details.push(`${usage.droppedMessages} older message(s) no longer fit and are left out`);
+    }
+    if (usage.truncatedMessages > 0) {
+      details.push(`${usage.truncatedMessages} oversized message(s) are shortened`);
+    }
+    contextMeter.title = details.join('\n');
+  }
+
+  /**
+   * Fills the model dropdown and selects the active model
+   */
+  function setModels(models, activeModel) {
+    modelSelect.innerHTML = '';
+
+    for (const model of models) {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = model; // Safe: textContent
+      modelSelect.appendChild(option);
+    }
+
+    selectModel(activeModel);
+  }
+
+  /**
+   * Selects a model in the dropdown, adding it if it isn't listed
+   */
+  function selectModel(model) {
+    if (!model) {
+      return;
+    }
+
+    const exists = Array.from(modelSelect.options).some((option) => option.value === model);
+    if (!exists) {
+      const option = document.createElement('option');
+      option.value = model;
+      option.textContent = model;
+      modelSelect.appendChild(option);
+    }
+
+    modelSelect.value = model;
+  }
+
+  /**
+   * Fills the session dropdown and selects the active session
+   */
+  function setSessions(sessions, activeSessionId) {
+    sessionSelect.innerHTML = '';
+
+    for (const session of sessions) {
+      const option = document.createElement('option');
+      option.value = session.id;
+      option.textContent = session.name; // Safe: textContent
+      sessionSelect.appendChild(option);
+    }
+
+    sessionSelect.value = activeSessionId;
+  }
+
   /**
    * Handles clear button click
    */
@@ -172,23 +974,128 @@
     switch (message.type) {
       case 'chat:append':
         if (message.role && message.content) {
-          appendMessage(message.role, message.content);
+          appendMessage(
+            message.role,
+            message.content,
+            message.cancelled,
+            message.stats,
+            message.messageId,
+            message.branch,
+            message.attached
+          );
+        }
+        break;
+
+      case 'chat:streamStart':
+        startStreamingMessage(message.role || 'assistant');
+        break;
+
+      case 'chat:streamDelta':
+        clearRetryStatus();
+        if (message.content) {
+          appendStreamingDelta(message.content);
+        }
+        break;
+
+      case 'chat:streamEnd':
+        clearRetryStatus();
+        endStreamingMessage(message.content, message.cancelled, message.stats, message.messageId);
+        break;
+
+      case 'models:list':
+        if (Array.isArray(message.models)) {
+          setModels(message.models, message.model);
+        }
+        break;
+
+      case 'sessions:list':
+        if (Array.isArray(message.sessions)) {
+          setSessions(message.sessions, message.sessionId);
+        }
+        break;
+
+      case 'models:select':
+        selectModel(message.model);
+        break;
+
+      case 'chat:busy':
+        setBusy(!!message.busy);
+        if (!message.busy) {
+          clearRetryStatus();
+        }
+        break;
+
+      case 'chat:retry':
+        if (message.message) {
+          showRetryStatus(message.message);
         }
         break;
 
       case 'chat:error':
+        clearRetryStatus();
         if (message.message) {
           showError(message.message);
         }
         break;
 
+      case 'mention:results':
+        showMentionResults(message.query, Array.isArray(message.suggestions) ? message.suggestions : []);
+        break;
+
+      case 'attachment:measured':
+        if (message.attachment) {
+          setAttachmentSize(message.attachment, message.message);
+        }
+        break;
+
+      case 'context:usage':
+        if (message.usage) {
+          setContextUsage(message.usage);
+        }
+        break;
+
+      case 'message:branchInfo':
+        if (message.messageId) {
+          const messageDiv = messagesContainer.querySelector(`[data-message-id="${CSS.escape(message.messageId)}"]`);
+          if (messageDiv) {
+            setMessageActions(messageDiv, message.messageId, message.branch);
+          }
+        }
+        break;
+
+      case 'summary:show':
+        showSummary(message.summary);
+        break;
+
       case 'chat:clear':
         clearMessages();
         break;
 
+      case 'chat:restore':
+        if (Array.isArray(message.messages)) {
+          clearMessages();
+          for (const item of message.messages) {
+            appendMessage(item.role, item.content, item.cancelled, undefined, item.id, item.branch, item.attached);
+            offerSuggestions(item);
+          }
+        }
+        break;
+
       case 'file:suggest':
         if (message.file && message.file.path && message.file.content !== undefined) {
-          suggestFile(message.file.path, message.file.content);
+          suggestFile(message.file.path, message.file.content, message.file.messageTimestamp);
+        }
+        break;
+
+      case 'edit:suggest':
+        if (message.edit && message.edit.path && Array.isArray(message.edit.hunks)) {
+          suggestEdit(message.edit, message.message);
+        }
+        break;
+
+      case 'file:suggestAll':
+        if (Array.isArray(message.files) && message.files.length > 0) {
+          suggestAllFiles(message.files);
         }
         break;
     }
@@ -197,8 +1104,64 @@
   // Event listeners
   sendButton.addEventListener('click', sendMessage);
   clearButton.addEventListener('click', clearConversation);
+  stopButton.addEventListener('click', cancelRequest);
+
+  modelSelect.addEventListener('change', () => {
+    vscode.postMessage({ type: 'models:select', model: modelSelect.value });
+  });
+
+  refreshModelsButton.addEventListener('click', () => {
+    vscode.postMessage({ type: 'models:request' });
+  });
+
+  sessionSelect.addEventListener('change', () => {
+    vscode.postMessage({ type: 'session:switch', sessionId: sessionSelect.value });
+  });
+
+  newSessionButton.addEventListener('click', () => {
+    vscode.postMessage({ type: 'session:new' });
+  });
+
+  renameSessionButton.addEventListener('click', () => {
+    vscode.postMessage({ type: 'session:rename', sessionId: sessionSelect.value });
+  });
+
+  promptSessionButton.addEventListener('click', () => {
+    vscode.postMessage({ type: 'session:editPrompt' });
+  });
+
+  deleteSessionButton.addEventListener('click', () => {
+    vscode.postMessage({ type: 'session:delete', sessionId: sessionSelect.value });
+  });
 
   inputElement.addEventListener('keydown', (event) => {
+    // Navigate the @-mention suggestions
+    if (!mentionMenu.hidden && !event.ctrlKey && !event.metaKey) {
+      const count = mentionSuggestions.length;
+      if (event.key === 'ArrowDown' && count > 0) {
+        event.preventDefault();
+        mentionSelected = (mentionSelected + 1) % count;
+        renderMentionMenu();
+        return;
+      }
+      if (event.key === 'ArrowUp' && count > 0) {
+        event.preventDefault();
+        mentionSelected = (mentionSelected - 1 + count) % count;
+        renderMentionMenu();
+        return;
+      }
+      if ((event.key === 'Enter' || event.key === 'Tab') && count > 0) {
+        event.preventDefault();
+        pickMention(mentionSelected);
+        return;
+      }
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeMentionMenu();
+        return;
+      }
+    }
+
     // Ctrl+Enter or Cmd+Enter to send
     if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
       event.preventDefault();
@@ -206,7 +1169,14 @@
     }
   });
 
+  inputElement.addEventListener('input', updateMention);
+  inputElement.addEventListener('click', updateMention);
+  inputElement.addEventListener('blur', closeMentionMenu);
+
   // Focus input on load
   inputElement.focus();
 
+  // Let the extension know the webview can receive messages
+  vscode.postMessage({ type: 'webview:ready' });
+
 })();
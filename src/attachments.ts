@@ -0,0 +1,526 @@
+/**
+ * Attachments: files, line ranges, folders and symbols added to a message
+ * as context, through @-mentions in the chat input or the /read command
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { estimateTokens } from './contextBudget';
+import { Attachment, ChatMessage, MentionSuggestion } from './types';
+import {
+  findFilesInWorkspace,
+  formatBytes,
+  getActiveWorkspaceFolder,
+  resolveWorkspacePath,
+  validateFileContent
+} from './utils';
+
+// Suggestions per group, in the order they are listed
+const MAX_OPEN_EDITORS = 5;
+const MAX_FILES = 10;
+const MAX_FOLDERS = 5;
+const MAX_SYMBOLS = 8;
+// Paths searched to find matching files and folders
+const SEARCH_LIMIT = 200;
+// Files listed when a folder is attached
+const MAX_FOLDER_ENTRIES = 200;
+// Bytes checked for NUL characters to tell binary files from text
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * An attachment's content, ready to be added to a message
+ */
+export interface LoadedAttachment {
+  /** Formatted content to add to the message */
+  text: string;
+  /** Content read from the file, for the audit log; unset for folders */
+  content?: string;
+}
+
+/**
+ * Finds files, folders and symbols for the text typed after @. Open
+ * editors come first, as they are the likeliest to be meant; symbols are
+ * only searched for a non-empty query.
+ */
+export async function searchMentions(query: string): Promise<MentionSuggestion[]> {
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    return [];
+  }
+
+  const needle = query.trim().toLowerCase();
+  const suggestions: MentionSuggestion[] = [];
+  const seen = new Set<string>();
+  const add = (suggestion: MentionSuggestion) => {
+    const key = getAttachmentKey(suggestion.attachment);
+    if (!seen.has(key)) {
+      seen.add(key);
+      suggestions.push(suggestion);
+    }
+  };
+
+  getOpenEditorPaths(workspace)
+    .filter(relPath => relPath.toLowerCase().includes(needle))
+    .slice(0, MAX_OPEN_EDITORS)
+    .forEach(relPath => add({
+      label: path.posix.basename(relPath),
+      detail: [getFolder(relPath), 'open editor'].filter(Boolean).join(' · '),
+      attachment: { kind: 'file', path: relPath }
+    }));
+
+  const paths = await findFilesInWorkspace(toSearchGlob(needle), SEARCH_LIMIT);
+
+  const nameOf = (relPath: string) => (needle.includes('/') ? relPath : path.posix.basename(relPath)).toLowerCase();
+  const rank = (relPath: string) => {
+    const name = path.posix.basename(relPath).toLowerCase();
+    return (name.startsWith(needle) ? 0 : name.includes(needle) ? 1 : 2) * 1000 + relPath.length;
+  };
+
+  paths
+    .filter(relPath => nameOf(relPath).includes(needle))
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, MAX_FILES)
+    .forEach(relPath => add({
+      label: path.posix.basename(relPath),
+      detail: getFolder(relPath),
+      attachment: { kind: 'file', path: relPath }
+    }));
+
+  // Folders only show up as parents of the files found
+  const folders = new Set<string>();
+  for (const relPath of paths) {
+    const segments = relPath.split('/');
+    for (let i = 1; i < segments.length; i++) {
+      const folder = segments.slice(0, i).join('/');
+      const parent = segments.slice(0, i - 1).join('/');
+      if (nameOf(folder).includes(needle) && !(needle.includes('/') && parent.toLowerCase().includes(needle))) {
+        folders.add(folder);
+      }
+    }
+  }
+  [...folders]
+    .sort((a, b) => rank(a) - rank(b))
+    .slice(0, MAX_FOLDERS)
+    .forEach(folder => add({
+      label: `${path.posix.basename(folder)}/`,
+      detail: getFolder(folder),
+      attachment: { kind: 'folder', path: folder }
+    }));
+
+  if (needle) {
+    for (const suggestion of await searchSymbols(workspace, query.trim())) {
+      add(suggestion);
+    }
+  }
+
+  return suggestions;
+}
+
+/**
+ * Loads the content of an attachment, formatted to be added to a message
+ *
+ * @param maxFileSize - Largest file or symbol to attach, in bytes. Larger files on
+ *                      disk are not read at all, even for a line range or symbol.
+ * @throws Error if the item can't be read or is too large
+ */
+export async function loadAttachment(attachment: Attachment, maxFileSize: number): Promise<LoadedAttachment> {
+  switch (attachment.kind) {
+    case 'file': {
+      const file = await readAttachedFile(attachment.path, maxFileSize);
+      if (attachment.startLine === undefined) {
+        validateFileContent(file, maxFileSize);
+        return { text: `File "${attachment.path}":\n\n\`\`\`\n${file}\n\`\`\``, content: file };
+      }
+
+      const lines = file.split(/\r?\n/);
+      if (lines.length > 1 && lines[lines.length - 1] === '') {
+        // A final line break doesn't start another line
+        lines.pop();
+      }
+      const startLine = attachment.startLine;
+      if (startLine >= lines.length) {
+        throw new Error(`"${attachment.path}" has only ${lines.length} lines`);
+      }
+      const endLine = Math.min(attachment.endLine ?? startLine, lines.length - 1);
+      const content = lines.slice(startLine, endLine + 1).join('\n');
+      validateFileContent(content, maxFileSize);
+      const range = `${formatLineRange(startLine, endLine)} of ${lines.length}`;
+      return { text: `File "${attachment.path}" (${range}):\n\n\`\`\`\n${content}\n\`\`\``, content };
+    }
+
+    case 'symbol': {
+      const content = await readSymbol(attachment, maxFileSize);
+      validateFileContent(content, maxFileSize);
+      const lines = formatLineRange(attachment.startLine ?? 0, attachment.endLine ?? 0);
+      return { text: `${attachment.symbol} in "${attachment.path}" (${lines}):\n\n\`\`\`\n${content}\n\`\`\``, content };
+    }
+
+    case 'folder': {
+      const files = await listFolder(attachment.path);
+      const shown = files.slice(0, MAX_FOLDER_ENTRIES);
+      const count = files.length > shown.length
+        ? `more than ${shown.length} files, first ${shown.length} shown`
+        : `${shown.length} files`;
+      return { text: `Files in folder "${attachment.path}" (${count}):\n\n${shown.map(file => `- ${file}`).join('\n')}` };
+    }
+  }
+}
+
+/**
+ * Parses a `/read` argument: `path`, `path:start-end` or `path:line` for
+ * lines (1-based, inclusive), or `path#Name.member` for a symbol, which is
+ * looked up through the document symbol provider. Since `#` may also be
+ * part of a path (e.g. `docs/C#/notes.md`), it only starts a symbol name
+ * when the text before it is an existing file.
+ *
+ * @throws Error if the line range is invalid or the symbol isn't found
+ */
+export async function resolveReadTarget(spec: string): Promise<Attachment> {
+  for (let hash = spec.lastIndexOf('#'); hash > 0; hash = spec.lastIndexOf('#', hash - 1)) {
+    if (hash < spec.length - 1 && await isExistingFile(spec.slice(0, hash))) {
+      return findSymbol(spec.slice(0, hash), spec.slice(hash + 1));
+    }
+  }
+
+  const range = /^(.+):(\d+)(?:-(\d+))?$/.exec(spec);
+  if (range) {
+    const start = Number(range[2]);
+    const end = range[3] !== undefined ? Number(range[3]) : start;
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid line range in "${spec}"; use e.g. ${range[1]}:120-200`);
+    }
+    return { kind: 'file', path: range[1], startLine: start - 1, endLine: end - 1 };
+  }
+
+  return { kind: 'file', path: spec };
+}
+
+/**
+ * Loads an attachment to tell its size before the message is sent
+ *
+ * @returns The attachment with `size` and `tokens` filled in
+ * @throws Error if the item can't be read or is too large
+ */
+export async function measureAttachment(attachment: Attachment, maxFileSize: number): Promise<Attachment> {
+  const { text } = await loadAttachment(attachment, maxFileSize);
+  return {
+    ...attachment,
+    size: Buffer.byteLength(text, 'utf8'),
+    tokens: estimateTokens(text)
+  };
+}
+
+/**
+ * Short name of an attachment, e.g. "src/utils.ts" or "ChatPanel (src/chatPanel.ts)"
+ */
+export function describeAttachment(attachment: Attachment): string {
+  switch (attachment.kind) {
+    case 'symbol':
+      return `${attachment.symbol} (${attachment.path})`;
+    case 'folder':
+      return `${attachment.path}/`;
+    default:
+      if (attachment.startLine === undefined) {
+        return attachment.path;
+      }
+      const endLine = attachment.endLine ?? attachment.startLine;
+      return `${attachment.path}:${attachment.startLine + 1}${endLine > attachment.startLine ? `-${endLine + 1}` : ''}`;
+  }
+}
+
+/**
+ * A message as it is sent to the model: the typed text followed by the
+ * content of its attachments
+ */
+export function withAttachments(message: ChatMessage): ChatMessage {
+  if (!message.attachments?.length) {
+    return message;
+  }
+  const { attachments, ...rest } = message;
+  return { ...rest, content: [message.content, ...attachments.map(item => item.text)].join('\n\n') };
+}
+
+/**
+ * Formats a zero-based, inclusive line range, e.g. "lines 120-200" or "line 7"
+ */
+function formatLineRange(startLine: number, endLine: number): string {
+  return endLine > startLine ? `lines ${startLine + 1}-${endLine + 1}` : `line ${startLine + 1}`;
+}
+
+/**
+ * Identifies an attachment, so the same item isn't attached twice
+ */
+function getAttachmentKey(attachment: Attachment): string {
+  return [attachment.kind, attachment.path, attachment.symbol ?? '', attachment.startLine ?? ''].join(':');
+}
+
+/**
+ * Workspace-relative paths of the files open in editor tabs
+ */
+function getOpenEditorPaths(workspace: vscode.WorkspaceFolder): string[] {
+  const paths = new Set<string>();
+  for (const tab of vscode.window.tabGroups.all.flatMap(group => group.tabs)) {
+    if (tab.input instanceof vscode.TabInputText) {
+      const relPath = toWorkspacePath(workspace, tab.input.uri);
+      if (relPath) {
+        paths.add(relPath);
+      }
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Searches the workspace symbol providers
+ */
+async function searchSymbols(workspace: vscode.WorkspaceFolder, query: string): Promise<MentionSuggestion[]> {
+  let symbols: vscode.SymbolInformation[] | undefined;
+  try {
+    symbols = await vscode.commands.executeCommand<vscode.SymbolInformation[]>(
+      'vscode.executeWorkspaceSymbolProvider',
+      query
+    );
+  } catch {
+    // No symbol provider is available for the workspace
+    return [];
+  }
+
+  const suggestions: MentionSuggestion[] = [];
+  for (const symbol of symbols ?? []) {
+    const relPath = toWorkspacePath(workspace, symbol.location.uri);
+    if (!relPath) {
+      continue;
+    }
+
+    const name = symbol.containerName ? `${symbol.containerName}.${symbol.name}` : symbol.name;
+    const { start, end } = symbol.location.range;
+    suggestions.push({
+      label: name,
+      detail: `${relPath}:${start.line + 1}`,
+      attachment: { kind: 'symbol', path: relPath, symbol: name, startLine: start.line, endLine: end.line }
+    });
+
+    if (suggestions.length === MAX_SYMBOLS) {
+      break;
+    }
+  }
+  return suggestions;
+}
+
+/**
+ * Checks whether a workspace-relative path names an existing file
+ */
+async function isExistingFile(relPath: string): Promise<boolean> {
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    return false;
+  }
+
+  try {
+    const uri = await resolveWorkspacePath(workspace, relPath);
+    const stat = await vscode.workspace.fs.stat(uri);
+    return (stat.type & vscode.FileType.File) !== 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Looks up a symbol such as `ChatPanel.onUserMessage` in a file
+ */
+async function findSymbol(relPath: string, symbolPath: string): Promise<Attachment> {
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    throw new Error('No workspace folder open');
+  }
+
+  const uri = await resolveWorkspacePath(workspace, relPath);
+  const symbols = await vscode.commands.executeCommand<Array<vscode.DocumentSymbol | vscode.SymbolInformation>>(
+    'vscode.executeDocumentSymbolProvider',
+    uri
+  );
+  if (!symbols || symbols.length === 0) {
+    throw new Error(`No symbols found in "${relPath}"; is a language extension for it installed?`);
+  }
+
+  const names = symbolPath.split('.');
+  const range = 'children' in symbols[0]
+    ? findDocumentSymbol(symbols as vscode.DocumentSymbol[], names)
+    : findSymbolInformation(symbols as vscode.SymbolInformation[], names);
+  if (!range) {
+    const topLevel = symbols.slice(0, 10).map(symbol => symbol.name).join(', ');
+    throw new Error(`Symbol "${symbolPath}" not found in "${relPath}". Top-level symbols: ${topLevel}`);
+  }
+
+  return { kind: 'symbol', path: relPath, symbol: symbolPath, startLine: range.start.line, endLine: range.end.line };
+}
+
+/**
+ * Walks a document symbol tree along a dotted name
+ */
+function findDocumentSymbol(symbols: vscode.DocumentSymbol[], names: string[]): vscode.Range | undefined {
+  let found: vscode.DocumentSymbol | undefined;
+  let level = symbols;
+  for (const name of names) {
+    found = level.find(symbol => isSymbolName(symbol.name, name));
+    if (!found) {
+      return undefined;
+    }
+    level = found.children;
+  }
+  return found?.range;
+}
+
+/**
+ * Finds a dotted name in a flat symbol list, using the container names
+ */
+function findSymbolInformation(symbols: vscode.SymbolInformation[], names: string[]): vscode.Range | undefined {
+  const name = names[names.length - 1];
+  const container = names.slice(0, -1).join('.');
+  const found = symbols.find(symbol =>
+    isSymbolName(symbol.name, name) &&
+    (!container || symbol.containerName === container || symbol.containerName === names[names.length - 2])
+  );
+  return found?.location.range;
+}
+
+/**
+ * Compares a symbol's name to a wanted one; some providers append the
+ * parameter list, e.g. `onUserMessage(text)`
+ */
+function isSymbolName(name: string, wanted: string): boolean {
+  return name === wanted || name.replace(/\(.*\)$/, '') === wanted;
+}
+
+/**
+ * Reads a file, including unsaved changes if it is open in an editor. A file
+ * on disk is only read if it is no larger than `maxFileSize`, even when just
+ * some of its lines are attached.
+ *
+ * @throws Error if the file can't be read, is too large or looks binary
+ */
+async function readAttachedFile(relPath: string, maxFileSize: number): Promise<string> {
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    throw new Error('No workspace folder open');
+  }
+
+  const uri = await resolveWorkspacePath(workspace, relPath);
+  const document = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+  if (document) {
+    return document.getText();
+  }
+
+  await assertFileSize(uri, relPath, maxFileSize);
+  let bytes: Uint8Array;
+  try {
+    bytes = await vscode.workspace.fs.readFile(uri);
+  } catch (error: any) {
+    throw new Error(`Failed to read file "${relPath}": ${error?.message ?? error}`);
+  }
+
+  // Like git, treat a NUL byte near the start as a sign of binary content
+  if (bytes.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    throw new Error(`"${relPath}" looks like a binary file and can't be read as text`);
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Checks a file's size on disk before it is read
+ *
+ * @throws Error if the file can't be found or is larger than `maxFileSize`
+ */
+async function assertFileSize(uri: vscode.Uri, relPath: string, maxFileSize: number): Promise<void> {
+  let size: number;
+  try {
+    size = (await vscode.workspace.fs.stat(uri)).size;
+  } catch (error: any) {
+    throw new Error(`Failed to read file "${relPath}": ${error?.message ?? error}`);
+  }
+
+  if (size > maxFileSize) {
+    throw new Error(
+      `"${relPath}" is ${formatBytes(size)}, more than the maximum file size (${formatBytes(maxFileSize)})`
+    );
+  }
+}
+
+/**
+ * Reads the lines of a symbol
+ */
+async function readSymbol(attachment: Attachment, maxFileSize: number): Promise<string> {
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    throw new Error('No workspace folder open');
+  }
+
+  const uri = await resolveWorkspacePath(workspace, attachment.path);
+  if (!vscode.workspace.textDocuments.some(d => d.uri.toString() === uri.toString())) {
+    await assertFileSize(uri, attachment.path, maxFileSize);
+  }
+  const document = await vscode.workspace.openTextDocument(uri);
+  const startLine = attachment.startLine ?? 0;
+  if (startLine >= document.lineCount) {
+    throw new Error(`${attachment.symbol} is no longer at line ${startLine + 1} of "${attachment.path}"`);
+  }
+
+  const endLine = Math.min(attachment.endLine ?? startLine, document.lineCount - 1);
+  return document.getText(new vscode.Range(startLine, 0, endLine, document.lineAt(endLine).text.length));
+}
+
+/**
+ * Lists the files in a folder and its subfolders, sorted
+ */
+async function listFolder(relPath: string): Promise<string[]> {
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    throw new Error('No workspace folder open');
+  }
+
+  const uri = await resolveWorkspacePath(workspace, relPath);
+  const files = await vscode.workspace.findFiles(
+    new vscode.RelativePattern(uri, '**/*'),
+    '**/node_modules/**',
+    MAX_FOLDER_ENTRIES + 1
+  );
+  if (files.length === 0) {
+    throw new Error(`Folder "${relPath}" is empty or doesn't exist`);
+  }
+
+  return files.map(file => vscode.workspace.asRelativePath(file, false)).sort();
+}
+
+/**
+ * Gets the folder of a workspace-relative path, or undefined at the root
+ */
+function getFolder(relPath: string): string | undefined {
+  const folder = path.posix.dirname(relPath);
+  return folder === '.' ? undefined : folder;
+}
+
+/**
+ * Gets the path of a file relative to the workspace folder, if it is in it
+ */
+function toWorkspacePath(workspace: vscode.WorkspaceFolder, uri: vscode.Uri): string | undefined {
+  if (vscode.workspace.getWorkspaceFolder(uri)?.uri.toString() !== workspace.uri.toString()) {
+    return undefined;
+  }
+  return vscode.workspace.asRelativePath(uri, false);
+}
+
+/**
+ * Builds a case-insensitive glob for paths containing the query, or a
+ * parent folder whose name contains it
+ */
+function toSearchGlob(needle: string): string {
+  const literal = needle.replace(/[*?[\]{}!\\,]/g, '');
+  if (!literal) {
+    return '**/*';
+  }
+
+  const pattern = [...literal]
+    .map(c => (c.toLowerCase() !== c.toUpperCase() ? `[${c.toLowerCase()}${c.toUpperCase()}]` : c))
+    .join('');
+  return `{**/*${pattern}*,**/*${pattern}*/**}`;
+}
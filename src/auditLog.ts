@@ -0,0 +1,141 @@
+/**
+ * Append-only audit log of file reads and writes made through the extension
+ */
+
+import * as vscode from 'vscode';
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as path from 'path';
+
+export type AuditAction = 'read' | 'create' | 'overwrite' | 'delete' | 'restore';
+
+/**
+ * What triggered a file operation
+ */
+export interface AuditOrigin {
+  // Feature that performed the operation, e.g. "/read" or "Apply All"
+  source: string;
+  session?: { id: string; name: string };
+  // Timestamp of the chat message the operation came from
+  messageTimestamp?: number;
+}
+
+/**
+ * One line of the audit log
+ */
+interface AuditEntry {
+  timestamp: string;
+  action: AuditAction;
+  path: string;
+  bytes?: number;
+  sha256?: string;
+  source: string;
+  session?: { id: string; name: string };
+  message?: string;
+}
+
+const LOG_FILE_NAME = 'audit-log.jsonl';
+
+let channel: vscode.OutputChannel | undefined;
+let logFile: string | undefined;
+// Appends are chained so lines never interleave
+let pendingWrite: Promise<void> = Promise.resolve();
+
+/**
+ * Creates the audit Output channel and locates the JSONL file in the
+ * workspace storage
+ */
+export function initAuditLog(context: vscode.ExtensionContext): void {
+  channel = vscode.window.createOutputChannel('Local LLM Audit');
+  context.subscriptions.push(channel);
+
+  const storage = context.storageUri ?? context.globalStorageUri;
+  logFile = storage.scheme === 'file' ? path.join(storage.fsPath, LOG_FILE_NAME) : undefined;
+}
+
+/**
+ * Records a file operation in the Output channel and, if
+ * `localLLM.auditLogFile` is enabled, in the JSONL file
+ *
+ * @param action - What happened to the file
+ * @param relPath - Workspace-relative path
+ * @param content - Content read or written; used for size and hash
+ * @param origin - What triggered the operation
+ */
+export function recordFileAccess(
+  action: AuditAction,
+  relPath: string,
+  content: string | undefined,
+  origin: AuditOrigin
+): void {
+  const entry: AuditEntry = {
+    timestamp: new Date().toISOString(),
+    action,
+    path: relPath,
+    source: origin.source
+  };
+
+  if (content !== undefined) {
+    entry.bytes = Buffer.byteLength(content, 'utf8');
+    entry.sha256 = crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+  }
+  if (origin.session) {
+    entry.session = { id: origin.session.id, name: origin.session.name };
+  }
+  if (origin.messageTimestamp !== undefined) {
+    entry.message = new Date(origin.messageTimestamp).toISOString();
+  }
+
+  const details = [
+    entry.bytes !== undefined ? `${entry.bytes} bytes` : undefined,
+    entry.sha256 ? `sha256 ${entry.sha256.slice(0, 12)}` : undefined,
+    entry.source,
+    entry.session ? `session "${entry.session.name}"` : undefined,
+    entry.message ? `message ${entry.message}` : undefined
+  ].filter(Boolean).join(' · ');
+  channel?.appendLine(`[${entry.timestamp}] ${action.toUpperCase()} ${relPath} (${details})`);
+
+  if (logFile && isFileLogEnabled()) {
+    const file = logFile;
+    pendingWrite = pendingWrite
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(entry) + '\n', 'utf8');
+      })
+      .catch((error) => {
+        channel?.appendLine(`Failed to write audit log file: ${error?.message ?? error}`);
+      });
+  }
+}
+
+/**
+ * Shows the audit Output channel, with the JSONL file one click away
+ */
+export async function showAuditLog(): Promise<void> {
+  channel?.show(true);
+
+  if (!logFile || !isFileLogEnabled()) {
+    return;
+  }
+
+  await pendingWrite;
+  const choice = await vscode.window.showInformationMessage(
+    'The audit log is also written to a JSONL file in the workspace storage.',
+    'Open Log File'
+  );
+  if (choice === 'Open Log File') {
+    try {
+      const doc = await vscode.workspace.openTextDocument(vscode.Uri.file(logFile));
+      await vscode.window.showTextDocument(doc, { preview: false });
+    } catch {
+      vscode.window.showWarningMessage('The audit log file has not been written yet.');
+    }
+  }
+}
+
+/**
+ * Whether entries are also appended to the JSONL file
+ */
+function isFileLogEnabled(): boolean {
+  return vscode.workspace.getConfiguration('localLLM').get<boolean>('auditLogFile') ?? false;
+}
@@ -0,0 +1,137 @@
+/**
+ * Message ids and alternative branches of a conversation
+ *
+ * The active branch is the session's message list. When a message is
+ * edited or a reply regenerated, the conversation from that point on (the
+ * "tail") is replaced, and the old tail is kept on the first message of the
+ * new one, so the user can flip between the versions.
+ */
+
+import { BranchInfo, ChatMessage, ChatMessageView } from './types';
+
+/**
+ * Creates an id for a new message
+ */
+export function createMessageId(): string {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Gives messages stored before ids existed an id
+ *
+ * @returns Whether any message was changed
+ */
+export function ensureMessageIds(messages: ChatMessage[]): boolean {
+  let changed = false;
+  for (const message of messages) {
+    if (!message.id) {
+      message.id = createMessageId();
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Which version of the conversation a message starts, if there are several
+ */
+export function getBranchInfo(message: ChatMessage): BranchInfo | undefined {
+  const count = (message.branches?.length ?? 0) + 1;
+  if (count < 2) {
+    return undefined;
+  }
+  return { index: message.branchIndex ?? count - 1, count };
+}
+
+/**
+ * Strips a message down to what the webview renders
+ */
+export function toMessageView(message: ChatMessage): ChatMessageView {
+  return {
+    id: message.id,
+    role: message.role,
+    content: message.content,
+    cancelled: message.cancelled,
+    timestamp: message.timestamp,
+    branch: getBranchInfo(message),
+    attached: message.attachments?.map(item => item.name)
+  };
+}
+
+/**
+ * Replaces the conversation from `index` on with a new tail. The old tail
+ * is kept as an alternative version; the new one becomes the last version.
+ *
+ * @returns The new message list; the input is not modified
+ */
+export function replaceTail(messages: ChatMessage[], index: number, newTail: ChatMessage[]): ChatMessage[] {
+  if (newTail.length === 0) {
+    throw new Error('A branch needs at least one message');
+  }
+
+  const versions = index < messages.length
+    ? [...getVersions(messages.slice(index)), newTail]
+    : [newTail];
+  return [...messages.slice(0, index), ...activateVersion(versions, versions.length - 1)];
+}
+
+/**
+ * Switches the conversation from `index` on to the previous or next version
+ *
+ * @param delta - -1 for the previous version, 1 for the next
+ * @returns The new message list, or the input if there is no such version
+ */
+export function switchBranch(messages: ChatMessage[], index: number, delta: number): ChatMessage[] {
+  const head = messages[index];
+  const info = head && getBranchInfo(head);
+  const target = (info?.index ?? 0) + delta;
+  if (!info || target < 0 || target >= info.count) {
+    return messages;
+  }
+
+  const versions = getVersions(messages.slice(index));
+  return [...messages.slice(0, index), ...activateVersion(versions, target)];
+}
+
+/**
+ * Discards the active version of the conversation from `index` on and
+ * activates the closest remaining one. Without other versions, the
+ * conversation simply ends before `index`.
+ *
+ * @returns The new message list; the input is not modified
+ */
+export function dropBranch(messages: ChatMessage[], index: number): ChatMessage[] {
+  const head = messages[index];
+  const info = head && getBranchInfo(head);
+  if (!info) {
+    return messages.slice(0, index);
+  }
+
+  const versions = getVersions(messages.slice(index));
+  versions.splice(info.index, 1);
+  return [...messages.slice(0, index), ...activateVersion(versions, Math.min(info.index, versions.length - 1))];
+}
+
+/**
+ * Lists all versions of a tail in order, each without branch metadata on
+ * its first message
+ */
+function getVersions(tail: ChatMessage[]): ChatMessage[][] {
+  const [head, ...rest] = tail;
+  const { branches = [], branchIndex, ...plainHead } = head;
+  const versions = [...branches];
+  versions.splice(branchIndex ?? versions.length, 0, [plainHead, ...rest]);
+  return versions;
+}
+
+/**
+ * Makes one version the active tail, keeping the others on its first message
+ */
+function activateVersion(versions: ChatMessage[][], active: number): ChatMessage[] {
+  const [head, ...rest] = versions[active];
+  const others = versions.filter((_, i) => i !== active);
+  if (others.length === 0) {
+    return [head, ...rest];
+  }
+  return [{ ...head, branches: others, branchIndex: active }, ...rest];
+}
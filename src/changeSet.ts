@@ -0,0 +1,195 @@
+/**
+ * Atomic, undoable application of file changes via WorkspaceEdit
+ */
+
+import * as vscode from 'vscode';
+import { AuditOrigin, recordFileAccess } from './auditLog';
+import { FileSuggestion } from './types';
+import { resolveWorkspacePath } from './utils';
+
+/**
+ * A file change as staged for a WorkspaceEdit
+ */
+export interface StagedChange {
+  path: string;
+  uri: vscode.Uri;
+  content: string;
+  // Content before the change, or undefined if the file is new
+  previousContent?: string;
+}
+
+/**
+ * The change set of the most recent apply, kept so it can be reverted
+ */
+let lastApplied: StagedChange[] | undefined;
+
+/**
+ * Resolves each target inside the workspace and reads its current content.
+ * Open documents are read from their editor buffer so unsaved changes are
+ * part of the snapshot.
+ *
+ * @throws Error if a path escapes the workspace
+ *
+ * @param workspace - Folder the relative paths resolve against
+ * @param files - Proposed files with workspace-relative paths
+ */
+export async function stageChanges(
+  workspace: vscode.WorkspaceFolder,
+  files: FileSuggestion[]
+): Promise<StagedChange[]> {
+  const staged: StagedChange[] = [];
+
+  for (const file of files) {
+    const uri = await resolveWorkspacePath(workspace, file.path);
+    staged.push({
+      path: file.path,
+      uri,
+      content: file.content,
+      previousContent: await readCurrentContent(uri)
+    });
+  }
+
+  return staged;
+}
+
+/**
+ * Applies staged changes as a single WorkspaceEdit and saves the affected
+ * files. The edit is one undo step, and it is remembered for
+ * `revertLastApply`. Each write is recorded in the audit log.
+ *
+ * @param changes - Staged changes to apply
+ * @param origin - What triggered the apply, for the audit log
+ * @throws Error if VS Code rejects the edit; nothing is changed in that case
+ */
+export async function applyChanges(changes: StagedChange[], origin: AuditOrigin): Promise<void> {
+  const edit = new vscode.WorkspaceEdit();
+
+  for (const change of changes) {
+    await addReplacement(edit, change.uri, change.previousContent, change.content);
+  }
+
+  const ok = await vscode.workspace.applyEdit(edit, { isRefactoring: false });
+  if (!ok) {
+    throw new Error('VS Code rejected the workspace edit; no files were changed');
+  }
+
+  await saveAll(changes.map(c => c.uri));
+  lastApplied = changes;
+
+  for (const change of changes) {
+    const action = change.previousContent === undefined ? 'create' : 'overwrite';
+    recordFileAccess(action, change.path, change.content, origin);
+  }
+}
+
+/**
+ * Reverts the most recent apply: restores overwritten files and deletes
+ * created ones, again as a single WorkspaceEdit. Asks before discarding
+ * changes made to the files since the apply.
+ *
+ * @param origin - What triggered the revert, for the audit log
+ * @returns The reverted changes, or undefined if nothing was reverted
+ */
+export async function revertLastApply(origin: AuditOrigin): Promise<StagedChange[] | undefined> {
+  const changes = lastApplied;
+  if (!changes) {
+    vscode.window.showInformationMessage('There is no applied change to revert.');
+    return undefined;
+  }
+
+  const modified: string[] = [];
+  for (const change of changes) {
+    if (await readCurrentContent(change.uri) !== change.content) {
+      modified.push(change.path);
+    }
+  }
+
+  if (modified.length > 0) {
+    const choice = await vscode.window.showWarningMessage(
+      `These files changed after the apply: ${modified.join(', ')}. Revert anyway and discard those changes?`,
+      { modal: true },
+      'Revert'
+    );
+    if (choice !== 'Revert') {
+      return undefined;
+    }
+  }
+
+  const edit = new vscode.WorkspaceEdit();
+  for (const change of changes) {
+    if (change.previousContent === undefined) {
+      edit.deleteFile(change.uri, { ignoreIfNotExists: true });
+    } else {
+      await addReplacement(edit, change.uri, await readCurrentContent(change.uri), change.previousContent);
+    }
+  }
+
+  const ok = await vscode.workspace.applyEdit(edit);
+  if (!ok) {
+    throw new Error('VS Code rejected the revert edit; no files were changed');
+  }
+
+  await saveAll(changes.filter(c => c.previousContent !== undefined).map(c => c.uri));
+  lastApplied = undefined;
+
+  for (const change of changes) {
+    if (change.previousContent === undefined) {
+      recordFileAccess('delete', change.path, undefined, origin);
+    } else {
+      recordFileAccess('restore', change.path, change.previousContent, origin);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Adds an edit that turns a file's current content into new content,
+ * creating the file if it does not exist
+ */
+async function addReplacement(
+  edit: vscode.WorkspaceEdit,
+  uri: vscode.Uri,
+  currentContent: string | undefined,
+  newContent: string
+): Promise<void> {
+  if (currentContent === undefined) {
+    edit.createFile(uri, { ignoreIfExists: false });
+    edit.insert(uri, new vscode.Position(0, 0), newContent);
+    return;
+  }
+
+  const doc = await vscode.workspace.openTextDocument(uri);
+  const fullRange = new vscode.Range(doc.positionAt(0), doc.positionAt(doc.getText().length));
+  edit.replace(uri, fullRange, newContent);
+}
+
+/**
+ * Reads a file from its open document or from disk
+ *
+ * @returns The content, or undefined if the file does not exist
+ */
+export async function readCurrentContent(uri: vscode.Uri): Promise<string | undefined> {
+  const open = vscode.workspace.textDocuments.find(d => d.uri.toString() === uri.toString());
+  if (open) {
+    return open.getText();
+  }
+
+  try {
+    const bytes = await vscode.workspace.fs.readFile(uri);
+    return Buffer.from(bytes).toString('utf8');
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Saves the documents of the given files
+ */
+async function saveAll(uris: vscode.Uri[]): Promise<void> {
+  for (const uri of uris) {
+    const doc = await vscode.workspace.openTextDocument(uri);
+    if (doc.isDirty) {
+      await doc.save();
+    }
+  }
+}
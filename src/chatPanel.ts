@@ -3,26 +3,87 @@
  */
 
 import * as vscode from 'vscode';
-import { callLLM } from './llm';
-import { ChatMessage, FileSuggestion, WebviewMessage } from './types';
+import {
+  describeAttachment,
+  loadAttachment,
+  measureAttachment,
+  resolveReadTarget,
+  searchMentions,
+  withAttachments
+} from './attachments';
+import { AuditOrigin, recordFileAccess } from './auditLog';
+import {
+  createMessageId,
+  dropBranch,
+  ensureMessageIds,
+  getBranchInfo,
+  replaceTail,
+  switchBranch,
+  toMessageView
+} from './branches';
+import { applyChanges, readCurrentContent, stageChanges } from './changeSet';
+import { countMessagesToCompact, summarizeTurns, withSummary } from './compaction';
+import { estimateTokens, fitToContext, getContextBudget, getContextWindow, truncateText } from './contextBudget';
+import { applyHunks, extractEditFences, formatHunkFailures } from './edits';
+import { writeFileWithConfirm } from './fileWriter';
+import { checkConnection } from './health';
+import { callLLM, listModels, RequestCancelledError } from './llm';
+import { containsSecrets, describeFindings, getRedactionRules, SecretsBlockedError } from './redaction';
+import { SessionStore } from './sessionStore';
+import { Transcript } from './transcript';
+import { assertResolvedWriteAllowed, getWritePolicy, isWriteAllowed } from './writePolicy';
+import {
+  AttachedContent,
+  Attachment,
+  ChatMessage,
+  ChatMessageView,
+  ChatSession,
+  EditSuggestion,
+  FileSuggestion,
+  LLMConfig,
+  LLMResult,
+  RedactionFinding,
+  RedactionPattern,
+  WebviewMessage
+} from './types';
 import {
   getActiveWorkspaceFolder,
   getLLMConfig,
+  formatBytes,
+  formatResponseStats,
+  resolveWorkspacePath,
+  toLanguageId,
   validateRelativePath,
   validateFileContent,
-  trimMessageHistory,
-  readWorkspaceFile,
+  splitArguments,
   listWorkspaceFiles,
   getWorkspaceMetadata,
   findFilesInWorkspace
 } from './utils';
 
+// Share of the prompt budget the files of one /read may take together,
+// leaving the rest for the conversation
+const READ_BUDGET_SHARE = 0.5;
+
 export class ChatPanel {
   public static current: ChatPanel | undefined;
+  private static readonly sessionChangeEmitter = new vscode.EventEmitter<void>();
+  /** Fires when the chat opens or closes, switches sessions, or the session's profile or model changes */
+  public static readonly onDidChangeSession = ChatPanel.sessionChangeEmitter.event;
   private readonly panel: vscode.WebviewPanel;
   private readonly context: vscode.ExtensionContext;
-  private messages: ChatMessage[] = [];
+  private readonly store: SessionStore;
+  private session: ChatSession;
   private disposables: vscode.Disposable[] = [];
+  private activeRequest: AbortController | undefined;
+  // Last redaction notice shown, to avoid repeating it on every request
+  private lastRedactionNotice: string | undefined;
+  // Text editor the user last worked in; the webview itself takes focus
+  // from it, so code block actions target this one
+  private lastTextEditor: vscode.TextEditor | undefined;
+  // Set while a regenerated reply is pending: the history is then cut off
+  // at the regenerated message, so it is neither saved nor compacted
+  private branchPending = false;
 
   /**
    * Opens or reveals the chat panel
@@ -49,15 +110,55 @@ export class ChatPanel {
     );
 
     ChatPanel.current = new ChatPanel(context, panel);
+    ChatPanel.sessionChangeEmitter.fire();
     return ChatPanel.current;
   }
 
   private constructor(context: vscode.ExtensionContext, panel: vscode.WebviewPanel) {
     this.context = context;
     this.panel = panel;
+    this.store = new SessionStore(context.workspaceState);
 
-    // Initialize with system message
-    this.resetConversation();
+    // Restore the last active session, or start a new one
+    this.session = this.store.getActive();
+    if (this.messages.length === 0) {
+      this.resetConversation();
+    }
+
+    this.lastTextEditor = vscode.window.activeTextEditor;
+    vscode.window.onDidChangeActiveTextEditor(
+      (editor) => {
+        if (editor) {
+          this.lastTextEditor = editor;
+        }
+      },
+      null,
+      this.disposables
+    );
+
+    // Drop saved history as soon as persistence is turned off, and reload
+    // the model list when the profile in effect may have changed
+    vscode.workspace.onDidChangeConfiguration(
+      (event) => {
+        if (event.affectsConfiguration('localLLM.persistConversation')) {
+          this.saveConversation();
+        }
+        if (event.affectsConfiguration('localLLM.profiles') || event.affectsConfiguration('localLLM.activeProfile')) {
+          this.sendModelList();
+        }
+        if (
+          event.affectsConfiguration('localLLM.contextWindow') ||
+          event.affectsConfiguration('localLLM.modelContextWindows') ||
+          event.affectsConfiguration('localLLM.maxTokens') ||
+          event.affectsConfiguration('localLLM.profiles') ||
+          event.affectsConfiguration('localLLM.activeProfile')
+        ) {
+          this.sendContextUsage();
+        }
+      },
+      null,
+      this.disposables
+    );
 
     // Set webview content
     this.panel.webview.html = this.getHtml();
@@ -69,127 +170,1043 @@ export class ChatPanel {
           switch (msg.type) {
             case 'chat:send':
               if (msg.text) {
-                this.post({ type: 'chat:append', role: 'user', content: msg.text });
-                await this.onUserMessage(msg.text);
+                await this.onUserMessage(msg.text, msg.attachments);
+              }
+              break;
+
+            case 'mention:search':
+              await this.sendMentionSuggestions(msg.query ?? '');
+              break;
+
+            case 'attachment:measure':
+              if (msg.attachment) {
+                await this.sendAttachmentSize(msg.attachment);
+              }
+              break;
+
+            case 'message:edit':
+              if (msg.messageId && msg.text !== undefined) {
+                await this.editMessage(msg.messageId, msg.text);
+              }
+              break;
+
+            case 'message:regenerate':
+              if (msg.messageId) {
+                await this.regenerateReply(msg.messageId);
+              }
+              break;
+
+            case 'message:branch':
+              if (msg.messageId && (msg.delta === -1 || msg.delta === 1)) {
+                this.switchBranch(msg.messageId, msg.delta);
+              }
+              break;
+
+            case 'chat:clear':
+              this.clearConversation();
+              break;
+
+            case 'chat:cancel':
+              this.cancelRequest();
+              break;
+
+            case 'webview:ready':
+              this.restoreWebview();
+              this.sendSessionList();
+              await this.sendModelList();
+              break;
+
+            case 'session:switch':
+              if (msg.sessionId) {
+                this.switchSession(msg.sessionId);
+              }
+              break;
+
+            case 'session:new':
+              this.newSession();
+              break;
+
+            case 'session:rename':
+              await this.renameSession(msg.sessionId ?? this.session.id);
+              break;
+
+            case 'session:delete':
+              await this.deleteSession(msg.sessionId ?? this.session.id);
+              break;
+
+            case 'session:editPrompt':
+              await this.editSystemPrompt();
+              break;
+
+            case 'summary:update':
+              this.updateSummary(msg.text ?? '');
+              break;
+
+            case 'models:request':
+              await this.sendModelList();
+              break;
+
+            case 'models:select':
+              if (msg.model) {
+                this.setModel(msg.model);
+              }
+              break;
+
+            case 'code:copy':
+              if (msg.code !== undefined) {
+                await vscode.env.clipboard.writeText(msg.code);
+                vscode.window.setStatusBarMessage('Code copied to clipboard', 2000);
+              }
+              break;
+
+            case 'code:insert':
+              if (msg.code !== undefined) {
+                await this.insertCode(msg.code, false);
+              }
+              break;
+
+            case 'code:replace':
+              if (msg.code !== undefined) {
+                await this.insertCode(msg.code, true);
               }
               break;
 
-            case 'chat:clear':
-              this.clearConversation();
-              break;
+            case 'code:open':
+              if (msg.code !== undefined) {
+                const doc = await vscode.workspace.openTextDocument({
+                  content: msg.code,
+                  language: await this.resolveLanguageId(msg.language)
+                });
+                await vscode.window.showTextDocument(doc, { preview: false });
+              }
+              break;
+
+            case 'file:create':
+              if (msg.file) {
+                await this.createFileWithConfirm(
+                  msg.file.path,
+                  msg.file.content,
+                  this.auditOrigin(
+                    msg.file.messageTimestamp !== undefined ? 'file suggestion' : '/write',
+                    msg.file.messageTimestamp
+                  )
+                );
+              }
+              break;
+
+            case 'edit:apply':
+              if (msg.edit) {
+                await this.applyEditWithPreview(msg.edit);
+              }
+              break;
+
+            case 'file:applyAll':
+              if (msg.files && msg.files.length > 0) {
+                await this.applyAllFiles(msg.files);
+              }
+              break;
+          }
+        } catch (error: any) {
+          vscode.window.showErrorMessage(`Error: ${error?.message ?? error}`);
+          this.post({ type: 'chat:error', message: String(error?.message ?? error) });
+        }
+      },
+      null,
+      this.disposables
+    );
+
+    // Handle panel disposal
+    this.panel.onDidDispose(
+      () => {
+        ChatPanel.current = undefined;
+        ChatPanel.sessionChangeEmitter.fire();
+        this.cancelRequest();
+        this.disposables.forEach(d => d.dispose());
+      },
+      null,
+      this.disposables
+    );
+  }
+
+  /**
+   * History of the active session
+   */
+  private get messages(): ChatMessage[] {
+    return this.session.messages;
+  }
+
+  private set messages(messages: ChatMessage[]) {
+    this.session.messages = messages;
+  }
+
+  /**
+   * Resets the conversation to initial state
+   */
+  private resetConversation(): void {
+    const config = getLLMConfig();
+    this.messages = [
+      { role: 'system', content: this.session.systemPrompt ?? config.systemPrompt, timestamp: Date.now() }
+    ];
+    this.session.summary = undefined;
+  }
+
+  /**
+   * Clears the conversation and notifies the webview
+   */
+  public clearConversation(): void {
+    this.resetConversation();
+    this.saveConversation();
+    this.post({ type: 'chat:clear' });
+    this.post({ type: 'summary:show', summary: undefined });
+    vscode.window.showInformationMessage('Conversation cleared.');
+  }
+
+  /**
+   * Saves the sessions to workspace storage (or removes them when
+   * persistence is disabled)
+   */
+  private saveConversation(): void {
+    if (!this.branchPending) {
+      this.store.touch(this.session);
+      this.store.save().then(
+        undefined,
+        (error) => console.error('Failed to save conversation:', error)
+      );
+    }
+    this.sendContextUsage();
+  }
+
+  /**
+   * Prepares a message for the webview. Replies carry their file and edit
+   * suggestions, so the Create / Apply All / Preview Edit cards survive a
+   * re-render; edit hunks are checked against the files when previewed.
+   */
+  private toView(message: ChatMessage): ChatMessageView {
+    const view = toMessageView(message);
+    if (message.role !== 'assistant') {
+      return view;
+    }
+
+    const messageTimestamp = message.timestamp;
+    const files = this.extractAllFileFences(message.content).map(file => ({ ...file, messageTimestamp }));
+    const edits = extractEditFences(message.content)
+      .filter(edit => !edit.error)
+      .map(edit => ({ ...edit, messageTimestamp }));
+    return {
+      ...view,
+      files: files.length > 0 ? files : undefined,
+      edits: edits.length > 0 ? edits : undefined
+    };
+  }
+
+  /**
+   * Re-renders the active session's conversation in the webview
+   */
+  private restoreWebview(): void {
+    if (ensureMessageIds(this.messages)) {
+      this.saveConversation();
+    }
+    const visible = this.messages.filter(m => m.role !== 'system').map(m => this.toView(m));
+    this.post({ type: 'chat:restore', messages: visible });
+    this.post({ type: 'summary:show', summary: this.session.summary });
+    this.sendContextUsage();
+  }
+
+  /**
+   * History as sent to the model: the messages with the summary of
+   * compacted turns after the system prompt
+   */
+  private getPromptMessages(): ChatMessage[] {
+    return withSummary(this.messages.map(withAttachments), this.session.summary);
+  }
+
+  /**
+   * Updates the context meter in the header with how much of the model's
+   * context window the history takes up in the next request
+   */
+  private sendContextUsage(): void {
+    const config = this.getConfig();
+    const model = this.getModel();
+    const fit = fitToContext(this.getPromptMessages(), getContextBudget(config, model));
+
+    this.post({
+      type: 'context:usage',
+      usage: {
+        usedTokens: fit.usedTokens,
+        budget: fit.budget,
+        contextWindow: getContextWindow(config, model),
+        droppedMessages: fit.droppedMessages,
+        truncatedMessages: fit.truncatedMessages
+      }
+    });
+  }
+
+  /**
+   * Sends the session list to the webview
+   */
+  private sendSessionList(): void {
+    this.post({
+      type: 'sessions:list',
+      sessions: this.store.list().map(s => ({ id: s.id, name: s.name })),
+      sessionId: this.session.id
+    });
+  }
+
+  /**
+   * Lists all sessions, most recently used first
+   */
+  public getSessions(): ChatSession[] {
+    return this.store.list();
+  }
+
+  /**
+   * Gets the active session
+   */
+  public getActiveSession(): ChatSession {
+    return this.session;
+  }
+
+  /**
+   * Makes another session active and shows its history
+   */
+  public switchSession(sessionId: string): void {
+    if (sessionId === this.session.id) {
+      return;
+    }
+
+    if (this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is running. Stop it or wait for it to finish before switching sessions.'
+      });
+      this.sendSessionList();
+      return;
+    }
+
+    this.session = this.store.setActive(sessionId);
+    if (this.messages.length === 0) {
+      this.resetConversation();
+    }
+    this.saveConversation();
+    this.onSessionChanged();
+  }
+
+  /**
+   * Creates a new session and makes it active
+   */
+  public newSession(name?: string): void {
+    if (this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is running. Stop it or wait for it to finish before starting a new session.'
+      });
+      return;
+    }
+
+    this.session = this.store.create(name);
+    this.resetConversation();
+    this.saveConversation();
+    this.onSessionChanged();
+  }
+
+  /**
+   * Prompts for a new name for a session
+   */
+  public async renameSession(sessionId: string): Promise<void> {
+    const session = this.store.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    const name = await vscode.window.showInputBox({
+      prompt: 'Enter a new name for the session',
+      value: session.name,
+      validateInput: (value) => (value.trim().length === 0 ? 'Name cannot be empty' : null)
+    });
+
+    if (!name) return;
+
+    this.store.rename(sessionId, name);
+    this.saveConversation();
+    this.sendSessionList();
+  }
+
+  /**
+   * Deletes a session after confirmation
+   */
+  public async deleteSession(sessionId: string): Promise<void> {
+    const session = this.store.get(sessionId);
+    if (!session) {
+      return;
+    }
+
+    if (sessionId === this.session.id && this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is running. Stop it or wait for it to finish before deleting this session.'
+      });
+      return;
+    }
+
+    const choice = await vscode.window.showWarningMessage(
+      `Delete session "${session.name}" and its history?`,
+      { modal: true },
+      'Delete'
+    );
+
+    if (choice !== 'Delete') return;
+
+    this.store.delete(sessionId);
+
+    if (sessionId === this.session.id) {
+      this.session = this.store.getActive();
+      if (this.messages.length === 0) {
+        this.resetConversation();
+      }
+      this.saveConversation();
+      this.onSessionChanged();
+    } else {
+      this.saveConversation();
+      this.sendSessionList();
+    }
+  }
+
+  /**
+   * Prompts for the active session's system prompt
+   */
+  public async editSystemPrompt(): Promise<void> {
+    const config = getLLMConfig();
+    const current = this.session.systemPrompt ?? config.systemPrompt;
+
+    const prompt = await vscode.window.showInputBox({
+      prompt: `System prompt for session "${this.session.name}" (leave empty to use the default from settings)`,
+      value: current
+    });
+
+    if (prompt === undefined) return;
+
+    this.session.systemPrompt = prompt.trim() && prompt !== config.systemPrompt
+      ? prompt
+      : undefined;
+
+    const systemMessage: ChatMessage = {
+      role: 'system',
+      content: this.session.systemPrompt ?? config.systemPrompt
+    };
+
+    if (this.messages[0]?.role === 'system') {
+      this.messages[0] = systemMessage;
+    } else {
+      this.messages.unshift(systemMessage);
+    }
+
+    this.saveConversation();
+    this.post({
+      type: 'chat:append',
+      role: 'system',
+      content: `System prompt updated for session "${this.session.name}".`
+    });
+  }
+
+  /**
+   * Creates a new session from an imported transcript and makes it active
+   */
+  public importSession(transcript: Transcript): ChatSession {
+    if (this.activeRequest) {
+      throw new Error('A request is running. Stop it or wait for it to finish before importing.');
+    }
+
+    const config = getLLMConfig();
+    const messages = [...transcript.messages];
+    if (messages[0]?.role !== 'system') {
+      messages.unshift({ role: 'system', content: transcript.systemPrompt ?? config.systemPrompt });
+    }
+
+    this.session = this.store.create(transcript.name, messages);
+    this.session.model = transcript.model && transcript.model !== config.model
+      ? transcript.model
+      : undefined;
+    if (transcript.summary) {
+      this.session.summary = { content: transcript.summary, messageCount: 0, updatedAt: Date.now() };
+    }
+    this.session.systemPrompt = transcript.systemPrompt && transcript.systemPrompt !== config.systemPrompt
+      ? transcript.systemPrompt
+      : undefined;
+
+    this.saveConversation();
+    this.onSessionChanged();
+    return this.session;
+  }
+
+  /**
+   * Refreshes the webview after the active session changed
+   */
+  private onSessionChanged(): void {
+    this.lastRedactionNotice = undefined;
+    ChatPanel.sessionChangeEmitter.fire();
+    this.restoreWebview();
+    this.sendSessionList();
+    this.post({ type: 'models:select', model: this.getModel() });
+  }
+
+  /**
+   * Aborts the in-flight LLM request, if any
+   */
+  public cancelRequest(): void {
+    this.activeRequest?.abort();
+  }
+
+  /**
+   * Gets the settings for the active session, including its pinned
+   * connection profile
+   */
+  public getConfig(): LLMConfig {
+    return getLLMConfig(this.session.profile);
+  }
+
+  /**
+   * Pins a connection profile to the active session. The session's model
+   * override is dropped, since the new backend may not serve that model.
+   *
+   * @param profile - Profile name, or undefined to follow the active profile
+   */
+  public setProfile(profile: string | undefined): void {
+    const previous = this.getConfig().profile;
+
+    this.session.profile = profile;
+    this.session.model = undefined;
+    this.saveConversation();
+    ChatPanel.sessionChangeEmitter.fire();
+
+    const current = this.getConfig().profile;
+    if (current !== previous) {
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `🔌 Connection profile for this session: ${current ?? 'Default Settings'}`
+      });
+    }
+    this.sendModelList();
+  }
+
+  /**
+   * Gets the model used by the active session
+   */
+  public getModel(): string {
+    return this.session.model ?? this.getConfig().model;
+  }
+
+  /**
+   * Switches the model for the active session only
+   */
+  public setModel(model: string): void {
+    const changed = model !== this.getModel();
+
+    this.session.model = model === this.getConfig().model ? undefined : model;
+    this.saveConversation();
+    this.post({ type: 'models:select', model });
+
+    if (changed) {
+      ChatPanel.sessionChangeEmitter.fire();
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `Model switched to "${model}" for this session.`
+      });
+    }
+  }
+
+  /**
+   * Queries the server for available models and sends them to the webview.
+   * The current model is always included, even if the server doesn't list it.
+   */
+  private async sendModelList(): Promise<void> {
+    const config = this.getConfig();
+    const model = this.getModel();
+
+    let models: string[] = [];
+    try {
+      models = await listModels({
+        provider: config.provider,
+        apiUrl: config.apiUrl,
+        token: config.token,
+        headers: config.headers
+      });
+    } catch {
+      // Server unreachable or listing unsupported; offer the current model only
+    }
+
+    if (!models.includes(model)) {
+      models.unshift(model);
+    }
+
+    this.post({ type: 'models:list', models, model });
+  }
+
+  /**
+   * Sends a message to chat programmatically (e.g., from commands)
+   *
+   * @returns Whether the message was taken into the conversation; it is
+   *          turned down while a request is running. Resolves before the reply.
+   */
+  public sendMessageToChat(text: string): Promise<boolean> {
+    if (!text || text.trim().length === 0) {
+      return Promise.resolve(false);
+    }
+
+    // Display and process the message
+    return new Promise(resolve => {
+      this.onUserMessage(text, [], () => resolve(true)).then(
+        () => resolve(false),
+        error => {
+          vscode.window.showErrorMessage(`Failed to process message: ${error?.message ?? error}`);
+          resolve(false);
+        }
+      );
+    });
+  }
+
+  /**
+   * Handles user message from webview
+   *
+   * @param attachments - Items mentioned with @, added to the message as context
+   * @param onAccepted - Called once the message is part of the conversation,
+   *                     before the reply is requested; not called if it is rejected
+   */
+  private async onUserMessage(
+    text: string,
+    attachments: Attachment[] = [],
+    onAccepted?: () => void
+  ): Promise<void> {
+    const trimmedText = text.trim();
+    if (!trimmedText) {
+      return;
+    }
+
+    // Check for special commands
+    if (trimmedText.startsWith('/')) {
+      this.post({ type: 'chat:append', role: 'user', content: text });
+      onAccepted?.();
+      await this.handleCommand(trimmedText);
+      return;
+    }
+
+    // Rejected before it is shown, so it doesn't look like part of the conversation
+    if (this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is already running, so your message was not sent. Stop it or wait for it to finish, then send it again.'
+      });
+      return;
+    }
+
+    // Add user message to chat
+    const timestamp = Date.now();
+    const attached = await this.loadAttachments(attachments, timestamp);
+    const message: ChatMessage = {
+      id: createMessageId(),
+      role: 'user',
+      content: trimmedText,
+      timestamp,
+      attachments: attached.length > 0 ? attached : undefined
+    };
+    this.messages.push(message);
+
+    this.post({
+      type: 'chat:append',
+      role: 'user',
+      content: text,
+      messageId: message.id,
+      attached: attached.map(item => item.name)
+    });
+    onAccepted?.();
+
+    await this.requestReply();
+  }
+
+  /**
+   * Loads the items mentioned in a message. Items that can't be loaded are
+   * left out with a warning, so the message itself is still sent.
+   *
+   * @returns The name and formatted content of each item
+   */
+  private async loadAttachments(attachments: Attachment[], timestamp: number): Promise<AttachedContent[]> {
+    const config = this.getConfig();
+    const attached: AttachedContent[] = [];
+    const failed: string[] = [];
+
+    for (const attachment of attachments) {
+      const name = describeAttachment(attachment);
+      try {
+        const loaded = await loadAttachment(attachment, config.maxFileSize);
+        if (loaded.content !== undefined) {
+          recordFileAccess('read', attachment.path, loaded.content, this.auditOrigin('@mention', timestamp));
+        }
+        attached.push({ name, text: loaded.text });
+      } catch (error: any) {
+        failed.push(`${name}: ${error?.message ?? error}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `⚠️ Not attached:\n${failed.map(item => `• ${item}`).join('\n')}`
+      });
+    }
+
+    return attached;
+  }
+
+  /**
+   * Answers an @-mention autocomplete query
+   */
+  private async sendMentionSuggestions(query: string): Promise<void> {
+    try {
+      const suggestions = await searchMentions(query);
+      this.post({ type: 'mention:results', query, suggestions });
+    } catch {
+      // Autocomplete runs on every keystroke; a failed search just shows nothing
+      this.post({ type: 'mention:results', query, suggestions: [] });
+    }
+  }
+
+  /**
+   * Tells the webview the size of an attachment chip, or why it can't be attached
+   */
+  private async sendAttachmentSize(attachment: Attachment): Promise<void> {
+    try {
+      const measured = await measureAttachment(attachment, this.getConfig().maxFileSize);
+      this.post({ type: 'attachment:measured', attachment: measured });
+    } catch (error: any) {
+      this.post({ type: 'attachment:measured', attachment, message: error?.message ?? String(error) });
+    }
+  }
+
+  /**
+   * Asks the model to answer the conversation as it stands, and adds the
+   * reply along with its file and edit suggestions
+   *
+   * @returns The reply added to the history (possibly cancelled partway),
+   *          or undefined if there is none
+   */
+  private async requestReply(): Promise<ChatMessage | undefined> {
+    const request = new AbortController();
+    this.activeRequest = request;
+    this.post({ type: 'chat:busy', busy: true });
+
+    try {
+      const config = this.getConfig();
+
+      this.saveConversation();
+
+      // Summarize the oldest turns once they no longer fit, if enabled
+      const model = this.getModel();
+      const budget = getContextBudget(config, model);
+      if (config.autoCompact && !this.branchPending && fitToContext(this.getPromptMessages(), budget).droppedMessages > 0) {
+        try {
+          await this.compactHistory('auto', config, request.signal);
+        } catch (error: any) {
+          if (error instanceof RequestCancelledError) {
+            return this.onRequestCancelled('', false);
+          }
+          this.post({
+            type: 'chat:append',
+            role: 'system',
+            content: `⚠️ Could not summarize older messages (${error?.message ?? error}); the oldest ones are left out instead.`
+          });
+        }
+      }
+
+      // Fit the history into the model's context window; the stored history stays complete
+      const context = fitToContext(this.getPromptMessages(), budget);
 
-            case 'file:create':
-              if (msg.file) {
-                await this.createFileWithConfirm(msg.file.path, msg.file.content);
-              }
-              break;
-          }
-        } catch (error: any) {
-          vscode.window.showErrorMessage(`Error: ${error?.message ?? error}`);
-          this.post({ type: 'chat:error', message: String(error?.message ?? error) });
+      if (config.streaming) {
+        this.post({ type: 'chat:streamStart', role: 'assistant' });
+      }
+
+      // Call LLM
+      let result: LLMResult;
+      try {
+        result = await callLLM({
+          provider: config.provider,
+          apiUrl: config.apiUrl,
+          model,
+          token: config.token,
+          messages: context.messages,
+          temperature: config.temperature,
+          maxTokens: config.maxTokens,
+          timeout: config.requestTimeout,
+          headers: config.headers,
+          stream: config.streaming,
+          onToken: (delta) => this.post({ type: 'chat:streamDelta', content: delta }),
+          signal: request.signal,
+          redaction: config.redactSecrets,
+          redactionPatterns: config.redactionPatterns,
+          onRedact: (findings) => this.onSecretsRedacted(findings),
+          maxRetries: config.maxRetries,
+          retryBaseDelay: config.retryBaseDelay,
+          onRetry: (retry) => this.post({
+            type: 'chat:retry',
+            message: `Retrying (${retry.attempt}/${retry.maxRetries}) in ${Math.ceil(retry.delayMs / 1000)}s: ${retry.reason}…`
+          })
+        });
+      } catch (error) {
+        if (error instanceof RequestCancelledError) {
+          return this.onRequestCancelled(error.partialContent, config.streaming);
         }
-      },
-      null,
-      this.disposables
-    );
+        if (config.streaming) {
+          this.post({ type: 'chat:streamEnd' });
+        }
+        if (error instanceof SecretsBlockedError) {
+          this.onSecretsBlocked(error, config.redactionPatterns);
+          return undefined;
+        }
+        await this.onRequestFailed(error, config);
+        return undefined;
+      }
 
-    // Handle panel disposal
-    this.panel.onDidDispose(
-      () => {
-        ChatPanel.current = undefined;
-        this.disposables.forEach(d => d.dispose());
-      },
-      null,
-      this.disposables
-    );
+      // Add assistant response
+      const reply = result.content;
+      const stats = formatResponseStats(result.stats);
+      const replyTimestamp = Date.now();
+      const replyMessage: ChatMessage = {
+        id: createMessageId(),
+        role: 'assistant',
+        content: reply,
+        timestamp: replyTimestamp
+      };
+      this.messages.push(replyMessage);
+      this.saveConversation();
+      if (config.streaming) {
+        this.post({ type: 'chat:streamEnd', content: reply, stats, messageId: replyMessage.id });
+      } else {
+        this.post({ type: 'chat:append', role: 'assistant', content: reply, stats, messageId: replyMessage.id });
+      }
+
+      // Extract and suggest files
+      const fileSuggestions = this.extractAllFileFences(reply)
+        .map(file => ({ ...file, messageTimestamp: replyTimestamp }));
+      const policy = getWritePolicy();
+      for (const file of fileSuggestions) {
+        this.post({ type: 'file:suggest', file });
+        if (!isWriteAllowed(file.path, policy)) {
+          this.post({
+            type: 'chat:append',
+            role: 'system',
+            content: `🚫 "${file.path}" is blocked by the write policy and cannot be created from this suggestion.`
+          });
+        }
+      }
+      if (fileSuggestions.length > 1) {
+        this.post({ type: 'file:suggestAll', files: fileSuggestions });
+      }
+
+      // Extract targeted edits and check their hunks against the current files
+      for (const edit of extractEditFences(reply)) {
+        await this.suggestEdit({ ...edit, messageTimestamp: replyTimestamp });
+      }
+
+      return replyMessage;
+    } catch (error: any) {
+      const errorMsg = String(error?.message ?? error);
+      vscode.window.showErrorMessage(`LLM Error: ${errorMsg}`);
+      this.post({ type: 'chat:error', message: errorMsg });
+      return undefined;
+    } finally {
+      this.activeRequest = undefined;
+      this.post({ type: 'chat:busy', busy: false });
+    }
   }
 
   /**
-   * Resets the conversation to initial state
+   * Reports a failed LLM request. Checks the connection so the user sees
+   * what is wrong (server down, bad token, unknown model, ...) rather than
+   * only the raw API error.
    */
-  private resetConversation(): void {
-    const config = getLLMConfig();
-    this.messages = [
-      { role: 'system', content: config.systemPrompt }
-    ];
+  private async onRequestFailed(error: any, config: LLMConfig): Promise<void> {
+    const errorMsg = String(error?.message ?? error);
+    this.post({ type: 'chat:error', message: errorMsg });
+
+    const health = await checkConnection(config, this.getModel()).catch(() => undefined);
+    if (health?.problem) {
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `🩺 ${health.summary}${health.hint ? `\n${health.hint}` : ''}`
+      });
+      vscode.window.showErrorMessage(`LLM Error: ${health.summary}`);
+    } else {
+      vscode.window.showErrorMessage(`LLM Error: ${errorMsg}`);
+    }
   }
 
   /**
-   * Clears the conversation and notifies the webview
+   * Records a cancelled response, keeping whatever text arrived before the stop
+   *
+   * @returns The partial reply added to the history, if any text arrived
    */
-  public clearConversation(): void {
-    this.resetConversation();
-    this.post({ type: 'chat:clear' });
-    vscode.window.showInformationMessage('Conversation cleared.');
+  private onRequestCancelled(partialContent: string, streaming: boolean): ChatMessage | undefined {
+    let reply: ChatMessage | undefined;
+    if (partialContent) {
+      reply = {
+        id: createMessageId(),
+        role: 'assistant',
+        content: partialContent,
+        cancelled: true,
+        timestamp: Date.now()
+      };
+      this.messages.push(reply);
+      this.saveConversation();
+    }
+
+    if (streaming) {
+      this.post({ type: 'chat:streamEnd', content: partialContent, cancelled: true, messageId: reply?.id });
+    } else if (reply) {
+      this.post({ type: 'chat:append', role: 'assistant', content: partialContent, cancelled: true, messageId: reply.id });
+    }
+
+    this.post({ type: 'chat:append', role: 'system', content: 'Response cancelled.' });
+    return reply;
   }
 
   /**
-   * Sends a message to chat programmatically (e.g., from commands)
+   * Replaces an earlier user message and asks for a new reply. The old
+   * message and everything after it stay available as another branch.
    */
-  public sendMessageToChat(text: string): void {
-    if (!text || text.trim().length === 0) {
+  private async editMessage(messageId: string, text: string): Promise<void> {
+    const content = text.trim();
+    const index = this.messages.findIndex(m => m.id === messageId);
+    if (!this.canBranchAt(index, 'user') || !content) {
       return;
     }
 
-    // Display the message in the webview
-    this.post({ type: 'chat:append', role: 'user', content: text });
+    // Attachments stay with the message; only the typed text is edited
+    const attachments = this.messages[index].attachments;
+    this.messages = replaceTail(this.messages, index, [
+      { id: createMessageId(), role: 'user', content, timestamp: Date.now(), attachments }
+    ]);
+    this.saveConversation();
+    this.restoreWebview();
 
-    // Process the message
-    this.onUserMessage(text).catch(error => {
-      vscode.window.showErrorMessage(`Failed to process message: ${error?.message ?? error}`);
-    });
+    await this.requestReply();
   }
 
   /**
-   * Handles user message from webview
+   * Asks for a new version of an earlier reply. The old reply and
+   * everything after it stay available as another branch; if no new reply
+   * arrives, the conversation is left as it was.
    */
-  private async onUserMessage(text: string): Promise<void> {
-    const trimmedText = text.trim();
-    if (!trimmedText) {
+  private async regenerateReply(messageId: string): Promise<void> {
+    const index = this.messages.findIndex(m => m.id === messageId);
+    if (!this.canBranchAt(index, 'assistant')) {
       return;
     }
 
-    // Check for special commands
-    if (trimmedText.startsWith('/')) {
-      await this.handleCommand(trimmedText);
-      return;
+    const previous = this.messages;
+    this.messages = previous.slice(0, index);
+    this.branchPending = true;
+
+    let reply: ChatMessage | undefined;
+    try {
+      this.restoreWebview();
+      reply = await this.requestReply();
+    } finally {
+      this.branchPending = false;
     }
 
-    // Add user message to chat
-    this.messages.push({ role: 'user', content: trimmedText });
+    const replyIndex = reply ? this.messages.findIndex(m => m.id === reply!.id) : -1;
+    if (reply && replyIndex !== -1) {
+      this.messages = replaceTail(previous, index, this.messages.slice(replyIndex));
+      this.saveConversation();
+      this.post({ type: 'message:branchInfo', messageId: reply.id, branch: getBranchInfo(this.messages[index]) });
+    } else {
+      this.messages = previous;
+      this.saveConversation();
+      this.restoreWebview();
+      this.post({ type: 'chat:append', role: 'system', content: 'No new reply was generated; the previous one was kept.' });
+    }
+  }
 
-    try {
-      const config = getLLMConfig();
+  /**
+   * Shows the previous or next version of the conversation from a message on
+   */
+  private switchBranch(messageId: string, delta: number): void {
+    const index = this.messages.findIndex(m => m.id === messageId);
+    if (!this.canBranchAt(index)) {
+      return;
+    }
 
-      // Trim message history if needed
-      this.messages = trimMessageHistory(this.messages, config.maxHistoryMessages);
+    this.messages = switchBranch(this.messages, index, delta);
+    this.saveConversation();
+    this.restoreWebview();
+  }
 
-      // Call LLM
-      const reply = await callLLM({
-        apiUrl: config.apiUrl,
-        model: config.model,
-        token: config.token,
-        messages: this.messages,
-        temperature: config.temperature,
-        maxTokens: config.maxTokens,
-        timeout: config.requestTimeout
+  /**
+   * Checks that a message can be edited, regenerated or switched: it must
+   * exist, have the expected role, and no request may be running
+   */
+  private canBranchAt(index: number, role?: 'user' | 'assistant'): boolean {
+    if (this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is already running. Stop it or wait for it to finish.'
       });
+      return false;
+    }
+    if (index === -1 || (role && this.messages[index].role !== role)) {
+      this.post({ type: 'chat:error', message: 'That message is no longer part of the conversation.' });
+      return false;
+    }
+    return true;
+  }
 
-      // Add assistant response
-      this.messages.push({ role: 'assistant', content: reply });
-      this.post({ type: 'chat:append', role: 'assistant', content: reply });
+  /**
+   * Tells the user what was redacted from a request. The same findings
+   * recur while the secret stays in the history, so repeats are skipped.
+   */
+  private onSecretsRedacted(findings: RedactionFinding[]): void {
+    const summary = describeFindings(findings);
+    if (summary === this.lastRedactionNotice) {
+      return;
+    }
 
-      // Extract and suggest files
-      const fileSuggestions = this.extractAllFileFences(reply);
-      for (const file of fileSuggestions) {
-        this.post({ type: 'file:suggest', file });
-      }
+    this.lastRedactionNotice = summary;
+    this.post({
+      type: 'chat:append',
+      role: 'system',
+      content: `🔒 Redacted before sending to the model: ${summary}`
+    });
+  }
 
-    } catch (error: any) {
-      const errorMsg = String(error?.message ?? error);
-      vscode.window.showErrorMessage(`LLM Error: ${errorMsg}`);
-      this.post({ type: 'chat:error', message: errorMsg });
+  /**
+   * Drops the not-yet-answered messages that contain secrets, so the
+   * conversation can continue, and explains why nothing was sent
+   */
+  private onSecretsBlocked(error: SecretsBlockedError, patterns: RedactionPattern[]): void {
+    const rules = getRedactionRules(patterns);
+    const lastReply = this.messages.map(m => m.role).lastIndexOf('assistant');
+
+    // An edited message goes with its branch, so the version before the edit returns
+    const branchHead = this.messages.findIndex((m, i) => i > lastReply && m.branches !== undefined);
+    if (branchHead !== -1 && containsSecrets(withAttachments(this.messages[branchHead]).content, rules)) {
+      this.messages = dropBranch(this.messages, branchHead);
+      this.restoreWebview();
+    } else {
+      this.messages = this.messages.filter(
+        (m, i) => i <= lastReply || m.role === 'system' || !containsSecrets(withAttachments(m).content, rules)
+      );
     }
+    this.saveConversation();
+
+    this.post({
+      type: 'chat:append',
+      role: 'system',
+      content: `🚫 Not sent: the message contains ${describeFindings(error.findings)}. ` +
+        'It was removed from the conversation; remove the secrets and try again, ' +
+        'or change localLLM.redactSecrets.'
+    });
   }
 
   /**
@@ -219,6 +1236,10 @@ export class ChatPanel {
           await this.commandWorkspaceInfo();
           break;
 
+        case 'compact':
+          await this.commandCompact();
+          break;
+
         case 'help':
           this.commandHelp();
           break;
@@ -237,29 +1258,187 @@ export class ChatPanel {
   }
 
   /**
-   * /read command - reads a file and adds to context
+   * /compact command - summarizes everything but the latest exchange
+   */
+  private async commandCompact(): Promise<void> {
+    if (this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is already running. Stop it or wait for it to finish.'
+      });
+      return;
+    }
+
+    const request = new AbortController();
+    this.activeRequest = request;
+    this.post({ type: 'chat:busy', busy: true });
+
+    try {
+      const compacted = await this.compactHistory('manual', this.getConfig(), request.signal);
+      if (!compacted) {
+        this.post({
+          type: 'chat:append',
+          role: 'system',
+          content: 'Nothing to compact yet: the conversation has no turns before the latest exchange.'
+        });
+      }
+    } catch (error: any) {
+      if (error instanceof RequestCancelledError) {
+        this.onRequestCancelled('', false);
+        return;
+      }
+      throw error;
+    } finally {
+      this.activeRequest = undefined;
+      this.post({ type: 'chat:busy', busy: false });
+    }
+  }
+
+  /**
+   * Replaces the oldest turns with a summary written by the model. An
+   * existing summary is folded into the new one.
+   *
+   * @param mode - `auto` keeps the newest turns that fit into half the
+   *               budget, `manual` keeps only the latest exchange
+   * @returns Whether anything was compacted
+   * @throws RequestCancelledError if the request is stopped
+   */
+  private async compactHistory(
+    mode: 'auto' | 'manual',
+    config: LLMConfig,
+    signal?: AbortSignal
+  ): Promise<boolean> {
+    const model = this.getModel();
+    const count = countMessagesToCompact(this.messages.map(withAttachments), getContextBudget(config, model), mode);
+    if (count === 0) {
+      return false;
+    }
+
+    const turns = this.messages.filter(m => m.role !== 'system').slice(0, count);
+    this.post({ type: 'chat:append', role: 'system', content: `📝 Summarizing ${count} older messages…` });
+
+    const content = await summarizeTurns(turns.map(withAttachments), this.session.summary, config, model, signal);
+
+    const summarized = new Set(turns);
+    this.messages = this.messages.filter(m => !summarized.has(m));
+    this.session.summary = {
+      content,
+      messageCount: (this.session.summary?.messageCount ?? 0) + count,
+      updatedAt: Date.now()
+    };
+    this.saveConversation();
+    this.restoreWebview();
+    this.post({
+      type: 'chat:append',
+      role: 'system',
+      content: `📝 Replaced ${count} older messages with the conversation summary pinned above. You can edit it there.`
+    });
+    return true;
+  }
+
+  /**
+   * Saves the user's edit of the conversation summary; an empty text
+   * removes the summary
+   */
+  private updateSummary(text: string): void {
+    const content = text.trim();
+    if (!this.session.summary && !content) {
+      return;
+    }
+
+    this.session.summary = content
+      ? { content, messageCount: this.session.summary?.messageCount ?? 0, updatedAt: Date.now() }
+      : undefined;
+    this.saveConversation();
+    this.post({ type: 'summary:show', summary: this.session.summary });
+  }
+
+  /**
+   * /read command - reads files, line ranges or symbols and adds them to context
    */
   private async commandReadFile(args: string[]): Promise<void> {
-    if (args.length === 0) {
+    // The content becomes a user message, which must not land between a
+    // pending question and its reply
+    if (this.activeRequest) {
+      this.post({
+        type: 'chat:error',
+        message: 'A request is already running. Stop it or wait for it to finish, then read the files again.'
+      });
+      return;
+    }
+
+    const specs = splitArguments(args.join(' '));
+    if (specs.length === 0) {
       this.post({
         type: 'chat:append',
         role: 'system',
-        content: 'Usage: /read <file-path>\nExample: /read src/example.ts'
+        content: 'Usage: /read <file-path>[:<start>-<end> | #<symbol>] ...\n' +
+          'Examples:\n' +
+          '  /read src/example.ts\n' +
+          '  /read src/example.ts:120-200\n' +
+          '  /read src/example.ts#Example.run\n' +
+          '  /read src/a.ts src/b.ts\n' +
+          'Quote paths that contain spaces.'
       });
       return;
     }
 
-    const filePath = args.join(' ');
-    const content = await readWorkspaceFile(filePath);
+    const config = this.getConfig();
+    const timestamp = Date.now();
+    const loaded: Array<{ name: string; text: string }> = [];
+    const failed: string[] = [];
+
+    for (const spec of specs) {
+      try {
+        const target = await resolveReadTarget(spec);
+        const { text, content } = await loadAttachment(target, config.maxFileSize);
+        recordFileAccess('read', target.path, content, this.auditOrigin('/read', timestamp));
+        loaded.push({ name: describeAttachment(target), text });
+      } catch (error: any) {
+        failed.push(`${spec}: ${error?.message ?? error}`);
+      }
+    }
+
+    if (loaded.length === 0) {
+      throw new Error(failed.join('\n'));
+    }
+    if (failed.length > 0) {
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `⚠️ Not read:\n${failed.map(item => `• ${item}`).join('\n')}`
+      });
+    }
+
+    // Files too large for the context window lose lines from their middle
+    const budget = getContextBudget(config, this.getModel());
+    const limit = Math.floor(budget * READ_BUDGET_SHARE / loaded.length);
+    const notices: string[] = [];
+    const blocks = loaded.map(item => {
+      const text = truncateText(item.text, limit);
+      if (text !== item.text) {
+        notices.push(
+          `✂️ ${item.name} is about ${estimateTokens(item.text)} tokens, more than the ${limit} that fit ` +
+          `next to the conversation, so it was shortened. Read a part with path:start-end or path#symbol.`
+        );
+      }
+      return text;
+    });
 
-    const message = `File "${filePath}":\n\n\`\`\`\n${content}\n\`\`\``;
-    this.post({ type: 'chat:append', role: 'system', content: message });
+    this.post({ type: 'chat:append', role: 'system', content: blocks.join('\n\n') });
+    if (notices.length > 0) {
+      this.post({ type: 'chat:append', role: 'system', content: notices.join('\n') });
+    }
 
     // Add to context for LLM
+    const subject = loaded.length === 1 ? 'a file' : `${loaded.length} files`;
     this.messages.push({
+      id: createMessageId(),
       role: 'user',
-      content: `I'm showing you the content of file "${filePath}":\n\n\`\`\`\n${content}\n\`\`\``
+      timestamp,
+      content: `I'm showing you the content of ${subject}:\n\n${blocks.join('\n\n')}`
     });
+    this.saveConversation();
   }
 
   /**
@@ -345,9 +1524,10 @@ export class ChatPanel {
   private commandHelp(): void {
     const helpText = `Available Commands:
 
-📄 /read <file-path>
-   Read a file and add to conversation context
-   Example: /read src/app.ts
+📄 /read <file-path>[:<start>-<end> | #<symbol>] ...
+   Read files, line ranges or symbols into the conversation context
+   Examples: /read src/app.ts:10-40
+             /read src/app.ts#App.start src/util.ts
 
 📁 /list [directory]
    List files in a directory (default: root)
@@ -360,6 +1540,9 @@ export class ChatPanel {
 ℹ️  /workspace
    Show workspace information
 
+📝 /compact
+   Summarize all but the latest exchange into a pinned summary
+
 ❓ /help
    Show this help message`;
 
@@ -376,77 +1559,236 @@ export class ChatPanel {
     const suggestions: FileSuggestion[] = [];
     const fenceRegex = /```file\s+path="([^"]+)"[\r\n]+([\s\S]*?)```/gm;
 
-    let match;
-    while ((match = fenceRegex.exec(text)) !== null) {
-      const [, path, content] = match;
-      if (path && content !== undefined) {
-        suggestions.push({ path: path.trim(), content });
-      }
+    let match;
+    while ((match = fenceRegex.exec(text)) !== null) {
+      const [, path, content] = match;
+      if (path && content !== undefined) {
+        suggestions.push({ path: path.trim(), content });
+      }
+    }
+
+    return suggestions;
+  }
+
+  /**
+   * Inserts code at the cursor of the last used text editor, or replaces
+   * its current selection
+   */
+  private async insertCode(code: string, replaceSelection: boolean): Promise<void> {
+    const visible = vscode.window.visibleTextEditors;
+    const editor = this.lastTextEditor && visible.includes(this.lastTextEditor)
+      ? this.lastTextEditor
+      : visible[0];
+
+    if (!editor) {
+      vscode.window.showWarningMessage('No open text editor to insert the code into.');
+      return;
+    }
+
+    if (replaceSelection && editor.selection.isEmpty) {
+      vscode.window.showWarningMessage('Select the text to replace in the editor first.');
+      return;
+    }
+
+    const applied = await editor.edit(editBuilder => {
+      if (replaceSelection) {
+        editBuilder.replace(editor.selection, code);
+      } else {
+        editBuilder.insert(editor.selection.active, code);
+      }
+    });
+
+    if (!applied) {
+      throw new Error('The editor rejected the edit');
+    }
+
+    await vscode.window.showTextDocument(editor.document, editor.viewColumn);
+  }
+
+  /**
+   * Resolves a fence language to a language id known to VS Code
+   */
+  private async resolveLanguageId(language: string | undefined): Promise<string> {
+    const languageId = toLanguageId(language);
+    const known = await vscode.languages.getLanguages();
+    return known.includes(languageId) ? languageId : 'plaintext';
+  }
+
+  /**
+   * Describes what triggered a file operation, for the audit log
+   */
+  public auditOrigin(source: string, messageTimestamp?: number): AuditOrigin {
+    return {
+      source,
+      session: { id: this.session.id, name: this.session.name },
+      messageTimestamp
+    };
+  }
+
+  /**
+   * Writes a file through the shared writer (write policy, diff preview,
+   * undoable edit)
+   */
+  private async createFileWithConfirm(relPath: string, content: string, origin: AuditOrigin): Promise<void> {
+    try {
+      await writeFileWithConfirm(relPath, content, origin);
+    } catch (error: any) {
+      const errorMsg = String(error?.message ?? error);
+      vscode.window.showErrorMessage(`Failed to create file: ${errorMsg}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks an edit's hunks against the current file, reports hunks that do
+   * not match, and offers the edit in the webview
+   */
+  private async suggestEdit(edit: EditSuggestion): Promise<void> {
+    if (edit.error) {
+      this.post({ type: 'chat:append', role: 'system', content: `⚠️ Invalid edit block: ${edit.error}` });
+      return;
+    }
+
+    const workspace = getActiveWorkspaceFolder();
+    let summary = `${edit.hunks.length} hunk${edit.hunks.length === 1 ? '' : 's'}`;
+
+    if (workspace) {
+      try {
+        validateRelativePath(edit.path);
+        await assertResolvedWriteAllowed(workspace, edit.path);
+        const current = await readCurrentContent(await resolveWorkspacePath(workspace, edit.path));
+        const result = applyHunks(current, edit.hunks);
+        if (result.failures.length > 0) {
+          summary = `${result.applied} of ${edit.hunks.length} hunks match`;
+          this.post({
+            type: 'chat:append',
+            role: 'system',
+            content: `⚠️ Some edit hunks do not match the current file:\n${formatHunkFailures(edit.path, result.failures)}`
+          });
+        }
+      } catch (error: any) {
+        this.post({ type: 'chat:append', role: 'system', content: `⚠️ ${edit.path}: ${error?.message ?? error}` });
+        return;
+      }
+    }
+
+    this.post({ type: 'edit:suggest', edit, message: summary });
+  }
+
+  /**
+   * Applies an edit's hunks to the current file content and opens the
+   * result in the diff preview. Hunks that no longer match are reported
+   * and left out.
+   */
+  private async applyEditWithPreview(edit: EditSuggestion): Promise<void> {
+    validateRelativePath(edit.path);
+
+    const workspace = getActiveWorkspaceFolder();
+    if (!workspace) {
+      vscode.window.showWarningMessage(
+        'No workspace folder open. Please open a folder to edit files.'
+      );
+      return;
+    }
+
+    const current = await readCurrentContent(await resolveWorkspacePath(workspace, edit.path));
+    const result = applyHunks(current, edit.hunks);
+
+    if (result.failures.length > 0) {
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `⚠️ Hunks that failed to match were skipped:\n${formatHunkFailures(edit.path, result.failures)}`
+      });
+    }
+
+    if (result.applied === 0) {
+      vscode.window.showErrorMessage(`No edit hunks match "${edit.path}"; nothing to apply.`);
+      return;
     }
 
-    return suggestions;
+    await this.createFileWithConfirm(
+      edit.path,
+      result.content,
+      this.auditOrigin('edit suggestion', edit.messageTimestamp)
+    );
   }
 
   /**
-   * Creates a file with user confirmation, including security validations
+   * Applies several suggested files as one atomic, undoable change after
+   * the user picks which files to include
    */
-  private async createFileWithConfirm(relPath: string, content: string): Promise<void> {
-    try {
-      // Security: Validate path
-      validateRelativePath(relPath);
-
-      // Get workspace
-      const workspace = getActiveWorkspaceFolder();
-      if (!workspace) {
-        vscode.window.showWarningMessage(
-          'No workspace folder open. Please open a folder to create files.'
-        );
-        return;
-      }
-
-      // Security: Validate content size
-      const config = getLLMConfig();
-      validateFileContent(content, config.maxFileSize);
-
-      // Build file URI
-      const fileUri = vscode.Uri.joinPath(workspace.uri, relPath);
+  private async applyAllFiles(files: FileSuggestion[]): Promise<void> {
+    const workspace = getActiveWorkspaceFolder();
+    if (!workspace) {
+      vscode.window.showWarningMessage(
+        'No workspace folder open. Please open a folder to create files.'
+      );
+      return;
+    }
 
-      // Check if file exists
-      let exists = false;
+    // Security: Validate every file before staging anything; files the
+    // write policy blocks are left out and reported
+    const config = getLLMConfig();
+    const policy = getWritePolicy();
+    const blocked: string[] = [];
+    const writable: FileSuggestion[] = [];
+    for (const file of files) {
+      validateRelativePath(file.path);
+      validateFileContent(file.content, config.maxFileSize);
       try {
-        await vscode.workspace.fs.stat(fileUri);
-        exists = true;
+        await assertResolvedWriteAllowed(workspace, file.path, policy);
+        writable.push(file);
       } catch {
-        exists = false;
+        blocked.push(file.path);
       }
+    }
+
+    if (blocked.length > 0) {
+      this.post({
+        type: 'chat:append',
+        role: 'system',
+        content: `🚫 Skipped by the write policy: ${blocked.join(', ')}`
+      });
+    }
+    if (writable.length === 0) {
+      return;
+    }
 
-      // Confirm with user
-      const action = exists ? 'Overwrite' : 'Create';
-      const choice = await vscode.window.showWarningMessage(
-        `${action} file "${relPath}" in workspace "${workspace.name}"?`,
-        { modal: true },
-        action,
-        'Cancel'
+    const staged = await stageChanges(workspace, writable);
+    let selected = staged;
+
+    if (!policy.allowWithoutPrompt) {
+      const picks = await vscode.window.showQuickPick(
+        staged.map(change => ({
+          label: change.path,
+          description: change.previousContent === undefined ? 'new file' : 'overwrite',
+          detail: formatBytes(Buffer.byteLength(change.content, 'utf8')),
+          picked: true,
+          change
+        })),
+        {
+          canPickMany: true,
+          title: 'Apply Suggested Files',
+          placeHolder: 'Select the files to apply as one change'
+        }
       );
 
-      if (choice !== action) {
+      if (!picks || picks.length === 0) {
         return;
       }
+      selected = picks.map(p => p.change);
+    }
 
-      // Write file
-      await vscode.workspace.fs.writeFile(fileUri, Buffer.from(content, 'utf8'));
-
-      // Open file in editor
-      const doc = await vscode.workspace.openTextDocument(fileUri);
-      await vscode.window.showTextDocument(doc, { preview: false });
-
-      vscode.window.showInformationMessage(`${action}d file: ${relPath}`);
+    await applyChanges(selected, this.auditOrigin('Apply All', files[0]?.messageTimestamp));
 
-    } catch (error: any) {
-      const errorMsg = String(error?.message ?? error);
-      vscode.window.showErrorMessage(`Failed to create file: ${errorMsg}`);
-      throw error;
-    }
+    const summary = `${selected.length} file${selected.length === 1 ? '' : 's'}`;
+    this.post({
+      type: 'chat:append',
+      role: 'system',
+      content: `✅ Applied ${summary}: ${selected.map(c => c.path).join(', ')}\nUse "Local LLM: Revert Last Apply" (or Undo) to roll back.`
+    });
+    vscode.window.showInformationMessage(`Applied ${summary}.`);
   }
 
   /**
@@ -463,6 +1805,9 @@ export class ChatPanel {
     const jsUri = this.panel.webview.asWebviewUri(
       vscode.Uri.joinPath(this.context.extensionUri, 'media', 'webview.js')
     );
+    const markdownUri = this.panel.webview.asWebviewUri(
+      vscode.Uri.joinPath(this.context.extensionUri, 'media', 'markdown.js')
+    );
 
     const cspSource = this.panel.webview.cspSource;
 
@@ -508,6 +1853,117 @@ export class ChatPanel {
       color: var(--vscode-foreground);
     }
 
+    .header-actions {
+      display: flex;
+      gap: 8px;
+      align-items: center;
+    }
+
+    .context-meter {
+      display: flex;
+      gap: 6px;
+      align-items: center;
+      font-size: 11px;
+      color: var(--vscode-descriptionForeground);
+    }
+
+    .context-meter[hidden] {
+      display: none;
+    }
+
+    .context-meter-bar {
+      width: 60px;
+      height: 4px;
+      border-radius: 2px;
+      background: var(--vscode-editorWidget-border);
+      overflow: hidden;
+    }
+
+    .context-meter-fill {
+      height: 100%;
+      background: var(--vscode-progressBar-background);
+    }
+
+    .context-meter.warning .context-meter-fill {
+      background: var(--vscode-editorWarning-foreground);
+    }
+
+    .context-meter.full .context-meter-fill {
+      background: var(--vscode-editorError-foreground);
+    }
+
+    select {
+      padding: 4px 8px;
+      font-family: var(--vscode-font-family);
+      font-size: var(--vscode-font-size);
+      background: var(--vscode-dropdown-background);
+      color: var(--vscode-dropdown-foreground);
+      border: 1px solid var(--vscode-dropdown-border);
+      border-radius: 4px;
+      max-width: 220px;
+    }
+
+    .session-bar {
+      padding: 6px 12px;
+      border-bottom: 1px solid var(--vscode-editorWidget-border);
+      display: flex;
+      gap: 6px;
+      align-items: center;
+    }
+
+    .summary {
+      padding: 8px 12px;
+      border-bottom: 1px solid var(--vscode-editorWidget-border);
+      border-left: 3px solid var(--vscode-editorInfo-foreground);
+      background: var(--vscode-editorGutter-background);
+      font-size: 12px;
+      max-height: 30vh;
+      overflow-y: auto;
+    }
+
+    .summary[hidden] {
+      display: none;
+    }
+
+    .summary-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 6px;
+      font-weight: 600;
+    }
+
+    .summary-actions {
+      display: flex;
+      gap: 4px;
+    }
+
+    .summary-header button {
+      padding: 2px 8px;
+    }
+
+    .summary-content {
+      white-space: pre-wrap;
+      word-wrap: break-word;
+    }
+
+    .summary textarea {
+      width: 100%;
+      min-height: 120px;
+      font-family: var(--vscode-font-family);
+      font-size: 12px;
+    }
+
+    .session-bar select {
+      flex: 1;
+      max-width: none;
+    }
+
+    .session-bar button {
+      padding: 4px 10px;
+    }
+
     .messages {
       flex: 1;
       overflow-y: auto;
@@ -557,6 +2013,229 @@ export class ChatPanel {
       line-height: 1.5;
     }
 
+    .message-stats {
+      margin-top: 6px;
+      font-size: 11px;
+      color: var(--vscode-descriptionForeground);
+    }
+
+    .message-attached {
+      margin-top: 6px;
+      font-size: 12px;
+      color: var(--vscode-descriptionForeground);
+    }
+
+    .message.cancelled .message-role::after {
+      content: ' (cancelled)';
+      text-transform: none;
+      font-weight: normal;
+    }
+
+    .message-actions {
+      float: right;
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      text-transform: none;
+      font-weight: normal;
+    }
+
+    .message-actions button {
+      padding: 0 6px;
+      font-size: 11px;
+      background: transparent;
+      color: var(--vscode-foreground);
+    }
+
+    .message-actions button:hover:not(:disabled) {
+      background: var(--vscode-toolbar-hoverBackground);
+    }
+
+    .message-actions button:disabled {
+      opacity: 0.4;
+      cursor: default;
+    }
+
+    .message-action {
+      visibility: hidden;
+    }
+
+    .message:hover .message-action {
+      visibility: visible;
+    }
+
+    .branch-nav {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+    }
+
+    .message-editor textarea {
+      width: 100%;
+      min-height: 80px;
+      font-family: var(--vscode-font-family);
+      font-size: var(--vscode-font-size);
+    }
+
+    .message-editor-buttons {
+      display: flex;
+      gap: 4px;
+      margin-top: 4px;
+    }
+
+    .message-content.markdown {
+      white-space: normal;
+    }
+
+    .markdown > :first-child { margin-top: 0; }
+    .markdown > :last-child { margin-bottom: 0; }
+
+    .markdown p,
+    .markdown ul,
+    .markdown ol,
+    .markdown blockquote,
+    .markdown .table-wrapper,
+    .markdown .code-block {
+      margin: 8px 0;
+    }
+
+    .markdown h1, .markdown h2, .markdown h3,
+    .markdown h4, .markdown h5, .markdown h6 {
+      margin: 12px 0 6px;
+      font-weight: 600;
+      line-height: 1.3;
+    }
+
+    .markdown h1 { font-size: 1.4em; }
+    .markdown h2 { font-size: 1.25em; }
+    .markdown h3 { font-size: 1.1em; }
+    .markdown h4, .markdown h5, .markdown h6 { font-size: 1em; }
+
+    .markdown ul,
+    .markdown ol {
+      padding-left: 24px;
+    }
+
+    .markdown li > ul,
+    .markdown li > ol {
+      margin: 2px 0;
+    }
+
+    .markdown li input[type="checkbox"] {
+      margin-right: 6px;
+    }
+
+    .markdown blockquote {
+      padding: 2px 12px;
+      border-left: 3px solid var(--vscode-textBlockQuote-border);
+      background: var(--vscode-textBlockQuote-background);
+    }
+
+    .markdown hr {
+      border: none;
+      border-top: 1px solid var(--vscode-editorWidget-border);
+      margin: 12px 0;
+    }
+
+    .markdown a {
+      color: var(--vscode-textLink-foreground);
+    }
+
+    .markdown a:hover {
+      color: var(--vscode-textLink-activeForeground);
+    }
+
+    .markdown .table-wrapper {
+      overflow-x: auto;
+    }
+
+    .markdown table {
+      border-collapse: collapse;
+    }
+
+    .markdown th,
+    .markdown td {
+      padding: 4px 10px;
+      border: 1px solid var(--vscode-editorWidget-border);
+    }
+
+    .markdown th {
+      background: var(--vscode-editorWidget-background);
+      font-weight: 600;
+    }
+
+    .code-block {
+      border: 1px solid var(--vscode-editorWidget-border);
+      border-radius: 4px;
+      overflow: hidden;
+    }
+
+    .code-header {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 8px;
+      padding: 2px 8px;
+      font-size: 11px;
+      color: var(--vscode-descriptionForeground);
+      background: var(--vscode-editorWidget-background);
+      border-bottom: 1px solid var(--vscode-editorWidget-border);
+    }
+
+    .code-actions {
+      display: flex;
+      gap: 4px;
+    }
+
+    .code-actions button {
+      padding: 1px 6px;
+      font-size: 11px;
+      background: transparent;
+      color: var(--vscode-descriptionForeground);
+    }
+
+    .code-actions button:hover {
+      background: var(--vscode-toolbar-hoverBackground);
+      color: var(--vscode-foreground);
+    }
+
+    .code-block pre {
+      margin: 0;
+      padding: 8px;
+      overflow-x: auto;
+      background: var(--vscode-textCodeBlock-background);
+    }
+
+    .code-block pre code {
+      padding: 0;
+      background: none;
+      font-size: var(--vscode-editor-font-size);
+      white-space: pre;
+    }
+
+    .tok-keyword { color: var(--vscode-symbolIcon-keywordForeground, #569cd6); }
+    .tok-string { color: var(--vscode-debugTokenExpression-string, #ce9178); }
+    .tok-number { color: var(--vscode-debugTokenExpression-number, #b5cea8); }
+    .tok-literal { color: var(--vscode-debugTokenExpression-boolean, #4e94ce); }
+    .tok-comment { color: var(--vscode-descriptionForeground); font-style: italic; }
+    .tok-function { color: var(--vscode-symbolIcon-functionForeground, #dcdcaa); }
+    .tok-type { color: var(--vscode-symbolIcon-classForeground, #4ec9b0); }
+    .tok-property { color: var(--vscode-symbolIcon-propertyForeground, #9cdcfe); }
+    .tok-inserted { color: var(--vscode-gitDecoration-addedResourceForeground); }
+    .tok-deleted { color: var(--vscode-gitDecoration-deletedResourceForeground); }
+
+    .message.streaming .message-content::after {
+      content: '▍';
+      opacity: 0.6;
+    }
+
+    .retry-status {
+      margin: 0 0 12px;
+      font-size: 12px;
+      font-style: italic;
+      color: var(--vscode-editorWarning-foreground);
+    }
+
     .file-suggestion {
       margin-top: 16px;
       padding: 12px;
@@ -592,6 +2271,7 @@ export class ChatPanel {
     }
 
     .input-area {
+      position: relative;
       border-top: 1px solid var(--vscode-editorWidget-border);
       padding: 12px;
       display: flex;
@@ -605,6 +2285,77 @@ export class ChatPanel {
       gap: 8px;
     }
 
+    .attachments {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+    }
+
+    .attachments[hidden],
+    .mention-menu[hidden] {
+      display: none;
+    }
+
+    .attachment-chip {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+      padding: 2px 4px 2px 8px;
+      font-size: 12px;
+      border-radius: 10px;
+      background: var(--vscode-badge-background);
+      color: var(--vscode-badge-foreground);
+    }
+
+    .attachment-chip.error {
+      background: var(--vscode-inputValidation-errorBackground);
+      color: var(--vscode-inputValidation-errorForeground);
+    }
+
+    .attachment-size {
+      opacity: 0.8;
+    }
+
+    .attachment-chip button {
+      padding: 0 4px;
+      background: transparent;
+      color: inherit;
+      line-height: 1;
+    }
+
+    .mention-menu {
+      position: absolute;
+      left: 12px;
+      right: 12px;
+      bottom: 100%;
+      max-height: 240px;
+      overflow-y: auto;
+      z-index: 10;
+      background: var(--vscode-editorSuggestWidget-background);
+      color: var(--vscode-editorSuggestWidget-foreground);
+      border: 1px solid var(--vscode-editorSuggestWidget-border);
+      border-radius: 4px;
+    }
+
+    .mention-item {
+      display: flex;
+      gap: 8px;
+      padding: 4px 8px;
+      cursor: pointer;
+      white-space: nowrap;
+    }
+
+    .mention-item.selected {
+      background: var(--vscode-editorSuggestWidget-selectedBackground);
+      color: var(--vscode-editorSuggestWidget-selectedForeground);
+    }
+
+    .mention-detail {
+      overflow: hidden;
+      text-overflow: ellipsis;
+      color: var(--vscode-descriptionForeground);
+    }
+
     textarea {
       flex: 1;
       min-height: 60px;
@@ -669,26 +2420,48 @@ export class ChatPanel {
   <div class="container">
     <div class="header">
       <h2>Local LLM Chat</h2>
-      <button id="clearBtn" class="secondary" title="Clear conversation history">Clear</button>
+      <div class="header-actions">
+        <div id="contextMeter" class="context-meter" hidden>
+          <div class="context-meter-bar"><div id="contextMeterFill" class="context-meter-fill"></div></div>
+          <span id="contextMeterLabel" class="context-meter-label"></span>
+        </div>
+        <select id="modelSelect" title="Model for this session"></select>
+        <button id="refreshModelsBtn" class="secondary" title="Reload the model list from the server">↻</button>
+        <button id="clearBtn" class="secondary" title="Clear conversation history">Clear</button>
+      </div>
+    </div>
+
+    <div class="session-bar">
+      <select id="sessionSelect" title="Chat session"></select>
+      <button id="newSessionBtn" class="secondary" title="Start a new session">New</button>
+      <button id="renameSessionBtn" class="secondary" title="Rename this session">Rename</button>
+      <button id="promptSessionBtn" class="secondary" title="Edit this session's system prompt">Prompt</button>
+      <button id="deleteSessionBtn" class="secondary" title="Delete this session">Delete</button>
     </div>
 
+    <div id="summary" class="summary" hidden></div>
+
     <div id="messages" class="messages"></div>
 
     <div class="input-area">
+      <div id="mentionMenu" class="mention-menu" role="listbox" hidden></div>
+      <div id="attachments" class="attachments" hidden></div>
       <div class="input-controls">
         <textarea
           id="input"
-          placeholder="Ask your local LLM anything...&#10;&#10;Commands: /help /read /list /search /workspace /write"
+          placeholder="Ask your local LLM anything...&#10;&#10;Commands: /help /read /list /search /workspace /write /compact"
           autofocus
         ></textarea>
         <button id="sendBtn">Send</button>
+        <button id="stopBtn" class="secondary" title="Stop the running request" hidden>Stop</button>
       </div>
       <div class="input-hint">
-        Press <code>Ctrl+Enter</code> (or <code>Cmd+Enter</code>) to send | Type <code>/help</code> for commands
+        Press <code>Ctrl+Enter</code> (or <code>Cmd+Enter</code>) to send | Type <code>@</code> to attach files, folders or symbols | Type <code>/help</code> for commands
       </div>
     </div>
   </div>
 
+  <script src="${markdownUri}"></script>
   <script src="${jsUri}"></script>
 </body>
 </html>`;
@@ -0,0 +1,130 @@
+/**
+ * Compaction: replaces old conversation turns with a model-written summary
+ */
+
+import { estimateMessagesTokens, getContextBudget, truncateText } from './contextBudget';
+import { callLLM } from './llm';
+import { ChatMessage, ConversationSummary, LLMConfig } from './types';
+
+// Automatic compaction keeps the newest turns up to this share of the budget
+const KEEP_RECENT_SHARE = 0.5;
+// Longest a single message may be in the text handed to the summarizer,
+// as a share of the budget
+const MAX_MESSAGE_SHARE = 0.25;
+const SUMMARY_MAX_TOKENS = 1024;
+
+const SUMMARIZER_PROMPT =
+  'You maintain the running summary of a conversation between a user and a coding assistant. ' +
+  'Write a concise summary that keeps every decision made, requirement, constraint, file name, ' +
+  'code identifier, open question and the current state of the task, so the conversation can ' +
+  'continue without the original messages. Leave out pleasantries. Reply with the summary only, ' +
+  'as plain text or short bullet points, without a preamble.';
+
+/**
+ * Inserts the summary of a session after its leading system messages, in
+ * the form it is sent to the model
+ */
+export function withSummary(messages: ChatMessage[], summary: ConversationSummary | undefined): ChatMessage[] {
+  if (!summary) {
+    return messages;
+  }
+
+  const firstTurn = messages.findIndex(m => m.role !== 'system');
+  const at = firstTurn === -1 ? messages.length : firstTurn;
+  const summaryMessage: ChatMessage = {
+    role: 'system',
+    content: `Summary of the earlier conversation, which replaces its messages:\n\n${summary.content}`,
+    timestamp: summary.updatedAt
+  };
+
+  return [...messages.slice(0, at), summaryMessage, ...messages.slice(at)];
+}
+
+/**
+ * Picks the oldest turns to summarize. Automatic compaction keeps the
+ * newest turns that fit into half the budget; manual compaction keeps only
+ * the latest exchange. The kept part always starts with a user message.
+ *
+ * @returns Number of leading non-system messages to summarize
+ */
+export function countMessagesToCompact(
+  messages: ChatMessage[],
+  budget: number,
+  mode: 'auto' | 'manual'
+): number {
+  const turns = messages.filter(m => m.role !== 'system');
+
+  let split = turns.map(m => m.role).lastIndexOf('user');
+  if (split === -1) {
+    split = turns.length;
+  }
+
+  if (mode === 'auto') {
+    const keepBudget = budget * KEEP_RECENT_SHARE;
+    while (split > 0 && estimateMessagesTokens(turns.slice(split - 1)) <= keepBudget) {
+      split--;
+    }
+    while (split < turns.length - 1 && turns[split].role !== 'user') {
+      split++;
+    }
+  }
+
+  // A single message isn't worth a summary request
+  return split >= 2 ? split : 0;
+}
+
+/**
+ * Asks the model to fold old turns into the summary
+ *
+ * @param turns - Messages to summarize, oldest first
+ * @param previous - Summary of even older turns, if any
+ * @returns The new summary text
+ * @throws Error if the request fails or returns nothing
+ */
+export async function summarizeTurns(
+  turns: ChatMessage[],
+  previous: ConversationSummary | undefined,
+  config: LLMConfig,
+  model: string,
+  signal?: AbortSignal
+): Promise<string> {
+  const maxTokens = Math.min(config.maxTokens, SUMMARY_MAX_TOKENS);
+  const budget = getContextBudget({ ...config, maxTokens }, model);
+  const messageLimit = Math.floor(budget * MAX_MESSAGE_SHARE);
+
+  const conversation = turns
+    .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${truncateText(m.content, messageLimit)}`)
+    .join('\n\n');
+
+  const request = [
+    previous ? `Summary so far:\n\n${previous.content}\n\n` : '',
+    `Conversation to ${previous ? 'add to the summary' : 'summarize'}:\n\n${conversation}`
+  ].join('');
+
+  const system: ChatMessage = { role: 'system', content: SUMMARIZER_PROMPT };
+  const available = budget - estimateMessagesTokens([system, { role: 'user', content: '' }]);
+  const messages: ChatMessage[] = [system, { role: 'user', content: truncateText(request, available) }];
+
+  const result = await callLLM({
+    provider: config.provider,
+    apiUrl: config.apiUrl,
+    model,
+    token: config.token,
+    messages,
+    temperature: 0.2,
+    maxTokens,
+    timeout: config.requestTimeout,
+    headers: config.headers,
+    signal,
+    redaction: config.redactSecrets,
+    redactionPatterns: config.redactionPatterns,
+    maxRetries: config.maxRetries,
+    retryBaseDelay: config.retryBaseDelay
+  });
+
+  const summary = result.content.trim();
+  if (!summary) {
+    throw new Error('The model returned an empty summary');
+  }
+  return summary;
+}
@@ -0,0 +1,225 @@
+/**
+ * Token budgeting: fits the conversation into the model's context window
+ */
+
+import { ChatMessage, LLMConfig } from './types';
+
+// Role markers and separators the chat template adds around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// No older message may take more than this share of the budget while other
+// turns still compete for space
+const MAX_MESSAGE_SHARE = 0.5;
+// Smallest budget left for the prompt when maxTokens nearly fills the window
+const MIN_BUDGET_SHARE = 0.25;
+
+/**
+ * What fitting a conversation into the budget did
+ */
+export interface ContextFit<T extends ChatMessage> {
+  /** Messages to send, possibly with truncated content */
+  messages: T[];
+  /** Estimated prompt tokens of `messages` */
+  usedTokens: number;
+  /** Prompt tokens available: context window minus the reply's maxTokens */
+  budget: number;
+  /** Oldest messages left out */
+  droppedMessages: number;
+  /** Messages whose content was shortened */
+  truncatedMessages: number;
+}
+
+/**
+ * Estimates the token count of a text. Roughly four ASCII characters make
+ * a token in common tokenizers; other characters are counted as one token
+ * each, which overestimates accented text a little and fits CJK and emoji.
+ */
+export function estimateTokens(text: string): number {
+  let ascii = 0;
+  let other = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code < 0x80) {
+      ascii++;
+    } else if (code < 0xdc00 || code > 0xdfff) {
+      // The low half of a surrogate pair belongs to the character before it
+      other++;
+    }
+  }
+  return Math.ceil(ascii / 4 + other);
+}
+
+/**
+ * Estimates the prompt tokens of a list of messages
+ */
+export function estimateMessagesTokens(messages: ChatMessage[]): number {
+  return messages.reduce((sum, m) => sum + estimateTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+}
+
+/**
+ * Gets the context window of a model: an entry in
+ * `localLLM.modelContextWindows` (by full name, then without the `:tag`),
+ * else the context window of the profile or `localLLM.contextWindow`
+ */
+export function getContextWindow(config: LLMConfig, model: string): number {
+  const windows = config.modelContextWindows;
+  const baseName = model.split(':')[0];
+  const configured = windows[model] ?? windows[baseName];
+  return typeof configured === 'number' && configured > 0 ? configured : config.contextWindow;
+}
+
+/**
+ * Gets the prompt token budget for a model: its context window minus the
+ * tokens reserved for the reply
+ */
+export function getContextBudget(config: LLMConfig, model: string): number {
+  const contextWindow = getContextWindow(config, model);
+  return Math.max(contextWindow - config.maxTokens, Math.floor(contextWindow * MIN_BUDGET_SHARE));
+}
+
+/**
+ * Fits a conversation into a token budget. System messages and the newest
+ * message are always kept. Oversized older messages (e.g. large file
+ * attachments) are shortened first, then the oldest turns are left out; if
+ * the newest message is still too large, it is shortened to what remains.
+ * The input is not modified.
+ */
+export function fitToContext<T extends ChatMessage>(messages: T[], budget: number): ContextFit<T> {
+  // Entries keep their index so system messages stay where they were
+  const system = messages
+    .map((message, index) => ({ message, index }))
+    .filter(entry => entry.message.role === 'system');
+  let conversation = messages
+    .map((message, index) => ({ message, index }))
+    .filter(entry => entry.message.role !== 'system');
+
+  const systemTokens = estimateMessagesTokens(system.map(entry => entry.message));
+  const fits = () =>
+    systemTokens + estimateMessagesTokens(conversation.map(entry => entry.message)) <= budget;
+  const shorten = (limit: number) => (entry: { message: T; index: number }) =>
+    ({ ...entry, message: truncateMessage(entry.message, limit) });
+
+  // The newest message is left for last; it may use whatever the rest leaves
+  if (!fits()) {
+    const limit = shorten(Math.floor(budget * MAX_MESSAGE_SHARE));
+    conversation = conversation.map((entry, i) => i < conversation.length - 1 ? limit(entry) : entry);
+  }
+
+  let droppedMessages = 0;
+  while (!fits() && conversation.length > 1) {
+    conversation.shift();
+    droppedMessages++;
+    // Don't start with a reply whose question was left out
+    if (conversation.length > 1 && conversation[0].message.role === 'assistant') {
+      conversation.shift();
+      droppedMessages++;
+    }
+  }
+
+  if (!fits() && conversation.length === 1) {
+    conversation = conversation.map(shorten(Math.max(0, budget - systemTokens - MESSAGE_OVERHEAD_TOKENS)));
+  }
+
+  const kept = [...system, ...conversation]
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.message);
+
+  return {
+    messages: kept,
+    usedTokens: estimateMessagesTokens(kept),
+    budget,
+    droppedMessages,
+    truncatedMessages: conversation.filter(entry => entry.message !== messages[entry.index]).length
+  };
+}
+
+/**
+ * Returns a copy of a message shortened to a token limit, or the message
+ * itself if it already fits
+ */
+function truncateMessage<T extends ChatMessage>(message: T, maxTokens: number): T {
+  const content = truncateText(message.content, maxTokens);
+  return content === message.content ? message : { ...message, content };
+}
+
+/**
+ * Shortens a text to a token limit. The largest fenced code block, usually
+ * an attached file, loses lines from its middle first, so the surrounding
+ * question and the start and end of the file survive; plain text is cut at
+ * the end.
+ */
+export function truncateText(text: string, maxTokens: number): string {
+  const total = estimateTokens(text);
+  if (total <= maxTokens) {
+    return text;
+  }
+
+  const block = findLargestCodeBlock(text);
+  if (block) {
+    const bodyBudget = estimateTokens(block.body) - (total - maxTokens);
+    const shortened = truncateLines(block.body, bodyBudget);
+    if (shortened !== undefined) {
+      const result = text.slice(0, block.start) + shortened + text.slice(block.end);
+      if (estimateTokens(result) <= maxTokens) {
+        return result;
+      }
+    }
+  }
+
+  const notice = '\n… [truncated to fit the context window]';
+  const available = Math.max(0, maxTokens - estimateTokens(notice));
+  let end = Math.min(text.length, available * 4);
+  while (end > 0 && estimateTokens(text.slice(0, end)) > available) {
+    end = Math.floor(end * 0.9);
+  }
+  return text.slice(0, end) + notice;
+}
+
+/**
+ * Finds the body of the largest fenced code block
+ */
+function findLargestCodeBlock(text: string): { start: number; end: number; body: string } | undefined {
+  const fence = /^```[^\n]*\n([\s\S]*?)\n```[ \t]*$/gm;
+  let largest: { start: number; end: number; body: string } | undefined;
+
+  for (let match = fence.exec(text); match; match = fence.exec(text)) {
+    const body = match[1];
+    if (!largest || body.length > largest.body.length) {
+      const start = match.index + match[0].indexOf('\n') + 1;
+      largest = { start, end: start + body.length, body };
+    }
+  }
+
+  return largest;
+}
+
+/**
+ * Removes lines from the middle of a text until it fits a token limit,
+ * keeping about two thirds of the remaining lines from the start
+ *
+ * @returns The shortened text with an omission notice, or undefined if
+ *          not even the notice fits
+ */
+function truncateLines(text: string, maxTokens: number): string | undefined {
+  const lines = text.split('\n');
+  const notice = (omitted: number) => `… [${omitted} lines omitted to fit the context window] …`;
+  const available = maxTokens - estimateTokens(notice(lines.length)) - 1;
+  if (available < 0) {
+    return undefined;
+  }
+
+  const lineTokens = lines.map(line => estimateTokens(line + '\n'));
+  let head = 0;
+  let used = 0;
+  while (head < lines.length && used + lineTokens[head] <= available * 2 / 3) {
+    used += lineTokens[head++];
+  }
+  let tail = lines.length;
+  while (tail > head && used + lineTokens[tail - 1] <= available) {
+    used += lineTokens[--tail];
+  }
+
+  if (tail === head) {
+    return text;
+  }
+  return [...lines.slice(0, head), notice(tail - head), ...lines.slice(tail)].join('\n');
+}
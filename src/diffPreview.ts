@@ -0,0 +1,171 @@
+/**
+ * Diff preview of LLM-proposed file content before it is written
+ */
+
+import * as vscode from 'vscode';
+
+export const PROPOSAL_SCHEME = 'local-llm-proposal';
+
+/**
+ * Serves proposed file content as read-only virtual documents
+ */
+class ProposalContentProvider implements vscode.TextDocumentContentProvider {
+  private readonly contents = new Map<string, string>();
+  private readonly changeEmitter = new vscode.EventEmitter<vscode.Uri>();
+  readonly onDidChange = this.changeEmitter.event;
+
+  provideTextDocumentContent(uri: vscode.Uri): string {
+    return this.contents.get(uri.toString()) ?? '';
+  }
+
+  set(uri: vscode.Uri, content: string): void {
+    this.contents.set(uri.toString(), content);
+    this.changeEmitter.fire(uri);
+  }
+
+  delete(uri: vscode.Uri): void {
+    this.contents.delete(uri.toString());
+  }
+
+  dispose(): void {
+    this.changeEmitter.dispose();
+  }
+}
+
+const provider = new ProposalContentProvider();
+
+// Decision callbacks of open previews, keyed by proposal URI
+const pendingDecisions = new Map<string, (accepted: boolean) => void>();
+
+let proposalCounter = 0;
+
+/**
+ * Registers the proposal document provider and the Accept / Reject
+ * commands shown in the diff editor title bar
+ */
+export function registerDiffPreview(context: vscode.ExtensionContext): void {
+  context.subscriptions.push(
+    provider,
+    vscode.workspace.registerTextDocumentContentProvider(PROPOSAL_SCHEME, provider),
+    vscode.commands.registerCommand('localLLM.acceptProposal', (uri?: vscode.Uri) => {
+      resolveProposal(uri, true);
+    }),
+    vscode.commands.registerCommand('localLLM.rejectProposal', (uri?: vscode.Uri) => {
+      resolveProposal(uri, false);
+    })
+  );
+}
+
+/**
+ * Opens a diff editor comparing a workspace file with proposed content and
+ * waits for the user to accept or reject it. New files are compared
+ * against an empty document.
+ *
+ * @param fileUri - The file that would be written
+ * @param relPath - Workspace-relative path, used in titles
+ * @param content - The proposed content
+ * @param exists - Whether the file currently exists
+ * @returns True if the user accepted the proposal
+ */
+export async function previewProposedChange(
+  fileUri: vscode.Uri,
+  relPath: string,
+  content: string,
+  exists: boolean
+): Promise<boolean> {
+  const id = ++proposalCounter;
+  const proposalUri = vscode.Uri.from({
+    scheme: PROPOSAL_SCHEME,
+    path: `/${relPath}`,
+    query: `proposal=${id}`
+  });
+  const emptyUri = vscode.Uri.from({
+    scheme: PROPOSAL_SCHEME,
+    path: `/${relPath}`,
+    query: `empty=${id}`
+  });
+
+  provider.set(proposalUri, content);
+  if (!exists) {
+    provider.set(emptyUri, '');
+  }
+
+  const decision = new Promise<boolean>((resolve) => {
+    pendingDecisions.set(proposalUri.toString(), resolve);
+  });
+  const decide = (accepted: boolean) => pendingDecisions.get(proposalUri.toString())?.(accepted);
+
+  // Closing the diff tab counts as rejecting the proposal
+  const tabListener = vscode.window.tabGroups.onDidChangeTabs((event) => {
+    if (event.closed.some(tab => isProposalTab(tab, proposalUri))) {
+      decide(false);
+    }
+  });
+
+  try {
+    const action = exists ? 'Overwrite' : 'Create';
+    await vscode.commands.executeCommand(
+      'vscode.diff',
+      exists ? fileUri : emptyUri,
+      proposalUri,
+      `${relPath} (${exists ? 'Current ↔ Proposed' : 'New File'})`,
+      // Not a preview tab: opening another file would replace it, and
+      // closing the tab rejects the proposal
+      { preview: false }
+    );
+
+    // The notification and the editor title buttons resolve the same
+    // decision; dismissing the notification rejects the proposal
+    vscode.window.showInformationMessage(
+      `${action} "${relPath}" with the proposed content?`,
+      'Accept',
+      'Reject'
+    ).then((choice) => decide(choice === 'Accept'));
+
+    return await decision;
+  } finally {
+    tabListener.dispose();
+    pendingDecisions.delete(proposalUri.toString());
+    await closeDiffEditors(proposalUri);
+    provider.delete(proposalUri);
+    provider.delete(emptyUri);
+  }
+}
+
+/**
+ * Resolves a pending preview. Without a URI (e.g. from the command
+ * palette) the proposal in the active editor is used.
+ */
+function resolveProposal(uri: vscode.Uri | undefined, accepted: boolean): void {
+  const target = uri ?? vscode.window.activeTextEditor?.document.uri;
+  if (!target || target.scheme !== PROPOSAL_SCHEME) {
+    vscode.window.showWarningMessage('No proposed change is open.');
+    return;
+  }
+
+  const resolve = pendingDecisions.get(target.toString());
+  if (resolve) {
+    resolve(accepted);
+  }
+}
+
+/**
+ * Closes diff editor tabs showing the proposal
+ */
+async function closeDiffEditors(proposalUri: vscode.Uri): Promise<void> {
+  const tabs = vscode.window.tabGroups.all
+    .flatMap(group => group.tabs)
+    .filter(tab => isProposalTab(tab, proposalUri));
+
+  if (tabs.length > 0) {
+    await vscode.window.tabGroups.close(tabs);
+  }
+}
+
+/**
+ * Whether a tab is the diff editor showing a proposal
+ */
+function isProposalTab(tab: vscode.Tab, proposalUri: vscode.Uri): boolean {
+  return tab.input instanceof vscode.TabInputTextDiff &&
+    tab.input.modified.toString() === proposalUri.toString();
+}
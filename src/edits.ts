@@ -0,0 +1,187 @@
+/**
+ * Targeted file edits via search/replace fences
+ *
+ * Format:
+ * ```edit path="relative/path.ext"
+ * <<<<<<< SEARCH
+ * exact lines from the current file
+ * =======
+ * replacement lines
+ * >>>>>>> REPLACE
+ * ```
+ *
+ * A fence may contain several hunks; they are applied in order.
+ */
+
+import { EditHunk, EditSuggestion } from './types';
+
+/**
+ * A hunk that could not be applied
+ */
+export interface HunkFailure {
+  // 1-based position of the hunk in its fence
+  index: number;
+  reason: string;
+  search: string;
+}
+
+/**
+ * Result of applying hunks to a file's content
+ */
+export interface EditResult {
+  content: string;
+  applied: number;
+  failures: HunkFailure[];
+}
+
+const SEARCH_MARKER = /^<{5,9} SEARCH\s*$/;
+const DIVIDER_MARKER = /^={5,9}\s*$/;
+const REPLACE_MARKER = /^>{5,9} REPLACE\s*$/;
+
+/**
+ * Extracts all edit fences from an LLM response. Fences with malformed
+ * hunk markers are returned with an `error` and no hunks.
+ */
+export function extractEditFences(text: string): EditSuggestion[] {
+  const suggestions: EditSuggestion[] = [];
+  const fenceRegex = /```edit\s+path="([^"]+)"[\r\n]+([\s\S]*?)```/gm;
+
+  let match;
+  while ((match = fenceRegex.exec(text)) !== null) {
+    const [, path, body] = match;
+    if (path && body !== undefined) {
+      try {
+        suggestions.push({ path: path.trim(), hunks: parseHunks(body, path.trim()) });
+      } catch (error: any) {
+        suggestions.push({ path: path.trim(), hunks: [], error: String(error?.message ?? error) });
+      }
+    }
+  }
+
+  return suggestions;
+}
+
+/**
+ * Parses the hunks of one edit fence
+ *
+ * @throws Error if the markers are not in SEARCH / ======= / REPLACE order
+ */
+export function parseHunks(body: string, path: string): EditHunk[] {
+  const hunks: EditHunk[] = [];
+  const lines = body.split(/\r?\n/);
+
+  let state: 'outside' | 'search' | 'replace' = 'outside';
+  let search: string[] = [];
+  let replace: string[] = [];
+
+  lines.forEach((line, i) => {
+    if (SEARCH_MARKER.test(line)) {
+      if (state !== 'outside') {
+        throw new Error(`${path}: unexpected SEARCH marker on line ${i + 1} of the edit block`);
+      }
+      state = 'search';
+      search = [];
+      replace = [];
+    } else if (DIVIDER_MARKER.test(line) && state === 'search') {
+      state = 'replace';
+    } else if (REPLACE_MARKER.test(line)) {
+      if (state !== 'replace') {
+        throw new Error(`${path}: unexpected REPLACE marker on line ${i + 1} of the edit block`);
+      }
+      hunks.push({ search: search.join('\n'), replace: replace.join('\n') });
+      state = 'outside';
+    } else if (state === 'search') {
+      search.push(line);
+    } else if (state === 'replace') {
+      replace.push(line);
+    }
+  });
+
+  if (state !== 'outside') {
+    throw new Error(`${path}: edit block ends inside a hunk (missing REPLACE marker)`);
+  }
+  if (hunks.length === 0) {
+    throw new Error(`${path}: edit block contains no SEARCH/REPLACE hunks`);
+  }
+
+  return hunks;
+}
+
+/**
+ * Applies hunks in order. Each search text must occur exactly once in the
+ * content as updated by the previous hunks; hunks that do not match are
+ * skipped and reported.
+ *
+ * @param original - Current file content, or undefined if the file does not exist
+ * @param hunks - Hunks to apply
+ */
+export function applyHunks(original: string | undefined, hunks: EditHunk[]): EditResult {
+  // Hunks are parsed with \n; match the file's own line endings
+  const eol = original?.includes('\r\n') ? '\r\n' : '\n';
+  let content = original ?? '';
+  let applied = 0;
+  const failures: HunkFailure[] = [];
+
+  hunks.forEach((hunk, i) => {
+    const search = hunk.search.replace(/\n/g, eol);
+    const replace = hunk.replace.replace(/\n/g, eol);
+
+    if (search.length === 0) {
+      // An empty search only makes sense for creating a new file
+      if (original === undefined && content.length === 0) {
+        content = replace;
+        applied++;
+      } else {
+        failures.push({ index: i + 1, reason: 'empty SEARCH section', search: hunk.search });
+      }
+      return;
+    }
+
+    const first = content.indexOf(search);
+    if (first === -1) {
+      const reason = original === undefined ? 'file does not exist' : 'SEARCH text not found';
+      failures.push({ index: i + 1, reason, search: hunk.search });
+      return;
+    }
+
+    const count = countOccurrences(content, search);
+    if (count > 1) {
+      failures.push({
+        index: i + 1,
+        reason: `SEARCH text matches ${count} places; include more context`,
+        search: hunk.search
+      });
+      return;
+    }
+
+    content = content.slice(0, first) + replace + content.slice(first + search.length);
+    applied++;
+  });
+
+  return { content, applied, failures };
+}
+
+/**
+ * Describes failed hunks for a chat message
+ */
+export function formatHunkFailures(path: string, failures: HunkFailure[]): string {
+  const lines = failures.map(f => {
+    const firstLine = f.search.split('\n').find(line => line.trim()) ?? '';
+    const preview = firstLine.length > 60 ? `${firstLine.slice(0, 60)}…` : firstLine;
+    return `  • Hunk ${f.index}: ${f.reason}${preview ? ` (${preview.trim()})` : ''}`;
+  });
+  return `${path}:\n${lines.join('\n')}`;
+}
+
+/**
+ * Counts non-overlapping occurrences of a string
+ */
+function countOccurrences(text: string, search: string): number {
+  let count = 0;
+  let pos = text.indexOf(search);
+  while (pos !== -1) {
+    count++;
+    pos = text.indexOf(search, pos + search.length);
+  }
+  return count;
+}
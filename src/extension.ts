@@ -3,24 +3,64 @@
  */
 
 import * as vscode from 'vscode';
+import { withAttachments } from './attachments';
+import { AuditOrigin, initAuditLog, recordFileAccess, showAuditLog } from './auditLog';
+import { revertLastApply } from './changeSet';
 import { ChatPanel } from './chatPanel';
+import { registerDiffPreview } from './diffPreview';
+import { writeFileWithConfirm } from './fileWriter';
+import { checkConnection, createHealthStatusBar } from './health';
+import { listModels } from './llm';
+import {
+  createProfileStatusBar,
+  getActiveProfileName,
+  getProfiles,
+  getTokenEndpoint,
+  pickProfile,
+  setActiveProfile,
+  setProfileModel
+} from './profiles';
+import {
+  initSecrets,
+  getEndpointKey,
+  getTokenEndpoints,
+  setStoredToken,
+  deleteStoredToken
+} from './secrets';
+import {
+  sessionToTranscript,
+  transcriptToJson,
+  transcriptToMarkdown,
+  parseTranscript
+} from './transcript';
+import { LLMConfig } from './types';
+import { assertWriteAllowed } from './writePolicy';
 import {
   getActiveWorkspaceFolder,
   getLLMConfig,
   validateRelativePath,
-  validateFileContent,
   readWorkspaceFile,
   listWorkspaceFiles,
   getWorkspaceMetadata,
-  findFilesInWorkspace
+  findFilesInWorkspace,
+  validateUrl
 } from './utils';
 
 /**
  * Extension activation
  */
-export function activate(context: vscode.ExtensionContext): void {
+export async function activate(context: vscode.ExtensionContext): Promise<void> {
   console.log('Local LLM Chat extension activated');
 
+  // Load API tokens from secret storage before anything reads the config
+  await initSecrets(context);
+
+  // Audit log of file reads and writes
+  initAuditLog(context);
+
+  // Register: proposal documents and Accept / Reject for diff previews
+  registerDiffPreview(context);
+
   // Register: Open Chat command
   context.subscriptions.push(
     vscode.commands.registerCommand('localLLM.openChat', () => {
@@ -80,6 +120,88 @@ export function activate(context: vscode.ExtensionContext): void {
       await sendActiveFileToChat(context);
     })
   );
+
+  // Register: Switch Session command
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.switchSession', async () => {
+      await switchSessionCommand(context);
+    })
+  );
+
+  // Register: Export Conversation command
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.exportConversation', async () => {
+      await exportConversationCommand(context);
+    })
+  );
+
+  // Register: Import Conversation command
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.importConversation', async () => {
+      await importConversationCommand(context);
+    })
+  );
+
+  // Register: Select Model command
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.selectModel', async () => {
+      await selectModelCommand();
+    })
+  );
+
+  // Register: Revert Last Apply command
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.revertLastApply', async () => {
+      try {
+        const reverted = await revertLastApply(commandOrigin('Revert Last Apply'));
+        if (reverted) {
+          vscode.window.showInformationMessage(
+            `Reverted ${reverted.length} file${reverted.length === 1 ? '' : 's'}: ${reverted.map(c => c.path).join(', ')}`
+          );
+        }
+      } catch (error: any) {
+        vscode.window.showErrorMessage(`Failed to revert: ${error?.message ?? error}`);
+      }
+    })
+  );
+
+  // Register: Switch Profile command and the profile status bar item
+  const profileStatus = createProfileStatusBar(
+    context,
+    () => ChatPanel.current?.getActiveSession().profile
+  );
+  context.subscriptions.push(
+    ChatPanel.onDidChangeSession(() => profileStatus.update()),
+    vscode.commands.registerCommand('localLLM.switchProfile', async () => {
+      await switchProfileCommand();
+    })
+  );
+
+  // Register: Test Connection command and the connection health status bar item
+  const healthStatus = createHealthStatusBar(context, getChatTarget);
+  context.subscriptions.push(
+    ChatPanel.onDidChangeSession(() => healthStatus.refresh()),
+    vscode.commands.registerCommand('localLLM.testConnection', async () => {
+      await testConnectionCommand();
+    })
+  );
+
+  // Register: Set / Clear API Token commands
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.setApiToken', async () => {
+      await setApiTokenCommand();
+    }),
+    vscode.commands.registerCommand('localLLM.clearApiToken', async () => {
+      await clearApiTokenCommand();
+    })
+  );
+
+  // Register: Show Audit Log command
+  context.subscriptions.push(
+    vscode.commands.registerCommand('localLLM.showAuditLog', async () => {
+      await showAuditLog();
+    })
+  );
 }
 
 /**
@@ -89,6 +211,14 @@ export function deactivate(): void {
   console.log('Local LLM Chat extension deactivated');
 }
 
+/**
+ * Describes what triggered a file operation run from a command, for the
+ * audit log; includes the active chat session if the chat is open
+ */
+function commandOrigin(source: string): AuditOrigin {
+  return ChatPanel.current ? ChatPanel.current.auditOrigin(source) : { source };
+}
+
 /**
  * Creates a new file from the current editor selection
  */
@@ -116,6 +246,7 @@ async function createFileFromSelection(): Promise<void> {
       validateInput: (value) => {
         try {
           validateRelativePath(value);
+          assertWriteAllowed(value);
           return null;
         } catch (error: any) {
           return error.message;
@@ -125,52 +256,8 @@ async function createFileFromSelection(): Promise<void> {
 
     if (!relPath) return;
 
-    // Get workspace
-    const workspace = getActiveWorkspaceFolder();
-    if (!workspace) {
-      vscode.window.showWarningMessage(
-        'No workspace folder open. Please open a folder to create files.'
-      );
-      return;
-    }
-
-    // Validate content size
-    const config = getLLMConfig();
-    validateFileContent(content, config.maxFileSize);
-
-    // Build file URI
-    const fileUri = vscode.Uri.joinPath(workspace.uri, relPath);
-
-    // Check if file exists
-    let exists = false;
-    try {
-      await vscode.workspace.fs.stat(fileUri);
-      exists = true;
-    } catch {
-      exists = false;
-    }
-
-    // Confirm with user
-    const action = exists ? 'Overwrite' : 'Create';
-    const choice = await vscode.window.showWarningMessage(
-      `${action} file "${relPath}" in workspace "${workspace.name}"?`,
-      { modal: true },
-      action,
-      'Cancel'
-    );
-
-    if (choice !== action) {
-      return;
-    }
-
-    // Write file
-    await vscode.workspace.fs.writeFile(fileUri, Buffer.from(content, 'utf8'));
-
-    // Open file in editor
-    const doc = await vscode.workspace.openTextDocument(fileUri);
-    await vscode.window.showTextDocument(doc, { preview: false });
-
-    vscode.window.showInformationMessage(`${action}d file: ${relPath}`);
+    // Validate, preview and write through the shared writer
+    await writeFileWithConfirm(relPath, content, commandOrigin('Create File From Selection'));
 
   } catch (error: any) {
     vscode.window.showErrorMessage(`Failed to create file: ${error?.message ?? error}`);
@@ -210,9 +297,12 @@ async function sendFileToChat(context: vscode.ExtensionContext): Promise<void> {
     // Open chat if not already open
     const panel = ChatPanel.open(context);
 
-    // Send to chat with context
+    // Send to chat with context; nothing is sent while a request is running
     const message = `Here is the content of file "${filePath}":\n\n\`\`\`\n${content}\n\`\`\``;
-    panel.sendMessageToChat(message);
+    if (!(await panel.sendMessageToChat(message))) {
+      return;
+    }
+    recordFileAccess('read', filePath, content, panel.auditOrigin('Send File to Chat'));
 
     vscode.window.showInformationMessage(`Sent "${filePath}" to chat`);
   } catch (error: any) {
@@ -244,9 +334,12 @@ async function sendActiveFileToChat(context: vscode.ExtensionContext): Promise<v
     // Open chat if not already open
     const panel = ChatPanel.open(context);
 
-    // Send to chat with context
+    // Send to chat with context; nothing is sent while a request is running
     const message = `Here is the content of file "${relativePath}":\n\n\`\`\`\n${content}\n\`\`\``;
-    panel.sendMessageToChat(message);
+    if (!(await panel.sendMessageToChat(message))) {
+      return;
+    }
+    recordFileAccess('read', relativePath, content, panel.auditOrigin('Send Active File to Chat'));
 
     vscode.window.showInformationMessage(`Sent "${relativePath}" to chat`);
   } catch (error: any) {
@@ -307,7 +400,9 @@ async function listWorkspaceFilesCommand(context: vscode.ExtensionContext): Prom
 
     // Open chat and send
     const panel = ChatPanel.open(context);
-    panel.sendMessageToChat(output);
+    if (!(await panel.sendMessageToChat(output))) {
+      return;
+    }
 
     vscode.window.showInformationMessage(`Listed ${files.length} files`);
   } catch (error: any) {
@@ -331,7 +426,9 @@ async function getWorkspaceInfoCommand(context: vscode.ExtensionContext): Promis
 
     // Open chat and send
     const panel = ChatPanel.open(context);
-    panel.sendMessageToChat(output);
+    if (!(await panel.sendMessageToChat(output))) {
+      return;
+    }
 
     vscode.window.showInformationMessage('Workspace info sent to chat');
   } catch (error: any) {
@@ -379,10 +476,442 @@ async function searchFilesCommand(context: vscode.ExtensionContext): Promise<voi
 
     // Open chat and send
     const panel = ChatPanel.open(context);
-    panel.sendMessageToChat(output);
+    if (!(await panel.sendMessageToChat(output))) {
+      return;
+    }
 
     vscode.window.showInformationMessage(`Found ${files.length} files`);
   } catch (error: any) {
     vscode.window.showErrorMessage(`Failed to search files: ${error?.message ?? error}`);
   }
 }
+
+/**
+ * Shows a quick pick of all chat sessions to switch to, create, rename or delete
+ */
+async function switchSessionCommand(context: vscode.ExtensionContext): Promise<void> {
+  try {
+    const panel = ChatPanel.open(context);
+    const activeId = panel.getActiveSession().id;
+
+    type SessionItem = vscode.QuickPickItem & { sessionId?: string };
+
+    const newItem: SessionItem = { label: '$(add) New Session' };
+    const items: SessionItem[] = [
+      newItem,
+      { label: '', kind: vscode.QuickPickItemKind.Separator },
+      ...panel.getSessions().map(session => ({
+        label: session.name,
+        description: session.id === activeId ? '(active)' : undefined,
+        detail: `${session.messages.filter(m => m.role !== 'system').length} messages · ` +
+          `${session.model ?? getLLMConfig(session.profile).model} · last used ${new Date(session.updatedAt).toLocaleString()}`,
+        sessionId: session.id,
+        buttons: [
+          { iconPath: new vscode.ThemeIcon('edit'), tooltip: 'Rename' },
+          { iconPath: new vscode.ThemeIcon('trash'), tooltip: 'Delete' }
+        ]
+      }))
+    ];
+
+    const quickPick = vscode.window.createQuickPick<SessionItem>();
+    quickPick.title = 'Switch Session';
+    quickPick.placeholder = 'Select a chat session';
+    quickPick.items = items;
+
+    quickPick.onDidTriggerItemButton(async (event) => {
+      const sessionId = event.item.sessionId;
+      if (!sessionId) return;
+
+      quickPick.hide();
+      if (event.button.tooltip === 'Rename') {
+        await panel.renameSession(sessionId);
+      } else {
+        await panel.deleteSession(sessionId);
+      }
+    });
+
+    quickPick.onDidAccept(() => {
+      const picked = quickPick.selectedItems[0];
+      quickPick.hide();
+
+      if (picked === newItem) {
+        panel.newSession();
+      } else if (picked?.sessionId) {
+        panel.switchSession(picked.sessionId);
+      }
+    });
+
+    quickPick.onDidHide(() => quickPick.dispose());
+    quickPick.show();
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to switch session: ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Exports the active session as a Markdown or JSON transcript
+ */
+async function exportConversationCommand(context: vscode.ExtensionContext): Promise<void> {
+  try {
+    const panel = ChatPanel.open(context);
+    const session = panel.getActiveSession();
+
+    if (!session.messages.some(m => m.role !== 'system')) {
+      vscode.window.showInformationMessage('The current session has no messages to export.');
+      return;
+    }
+
+    const format = await vscode.window.showQuickPick(
+      [
+        { label: 'Markdown', description: 'Readable transcript', extension: 'md' },
+        { label: 'JSON', description: 'Structured, can be imported again', extension: 'json' }
+      ],
+      {
+        placeHolder: 'Select export format',
+        title: 'Export Conversation'
+      }
+    );
+
+    if (!format) return;
+
+    const config = panel.getConfig();
+    // Attached files are exported as the model saw them, inline with the message
+    const messages = session.messages.map(withAttachments);
+    const transcript = sessionToTranscript({ ...session, messages }, {
+      model: config.model,
+      temperature: config.temperature,
+      systemPrompt: config.systemPrompt
+    });
+
+    const content = format.extension === 'json'
+      ? transcriptToJson(transcript)
+      : transcriptToMarkdown(transcript);
+
+    // Default to a file named after the session in the workspace root
+    const baseName = session.name.replace(/[^\w.-]+/g, '-').replace(/^-+|-+$/g, '') || 'conversation';
+    const fileName = `${baseName}.${format.extension}`;
+    const workspace = getActiveWorkspaceFolder();
+
+    const targetUri = await vscode.window.showSaveDialog({
+      defaultUri: workspace ? vscode.Uri.joinPath(workspace.uri, fileName) : undefined,
+      filters: format.extension === 'json' ? { 'JSON': ['json'] } : { 'Markdown': ['md'] },
+      title: 'Export Conversation'
+    });
+
+    if (!targetUri) return;
+
+    await vscode.workspace.fs.writeFile(targetUri, Buffer.from(content, 'utf8'));
+
+    const doc = await vscode.workspace.openTextDocument(targetUri);
+    await vscode.window.showTextDocument(doc, { preview: false });
+
+    vscode.window.showInformationMessage(`Exported "${session.name}" to ${vscode.workspace.asRelativePath(targetUri)}`);
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to export conversation: ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Imports a JSON transcript into a new session
+ */
+async function importConversationCommand(context: vscode.ExtensionContext): Promise<void> {
+  try {
+    const workspace = getActiveWorkspaceFolder();
+
+    const uris = await vscode.window.showOpenDialog({
+      canSelectMany: false,
+      defaultUri: workspace?.uri,
+      filters: { 'JSON Transcript': ['json'] },
+      title: 'Import Conversation'
+    });
+
+    if (!uris || uris.length === 0) return;
+
+    const bytes = await vscode.workspace.fs.readFile(uris[0]);
+    const transcript = parseTranscript(Buffer.from(bytes).toString('utf8'));
+
+    const panel = ChatPanel.open(context);
+    const session = panel.importSession(transcript);
+
+    vscode.window.showInformationMessage(
+      `Imported "${session.name}" (${transcript.messages.filter(m => m.role !== 'system').length} messages)`
+    );
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to import conversation: ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Lets the user pick one of the server's models, for the current
+ * conversation or as the default in settings
+ */
+async function selectModelCommand(): Promise<void> {
+  try {
+    const config = ChatPanel.current?.getConfig() ?? getLLMConfig();
+    const currentModel = ChatPanel.current?.getModel() ?? config.model;
+
+    const models = await vscode.window.withProgress(
+      {
+        location: vscode.ProgressLocation.Notification,
+        title: 'Loading models from LLM server...'
+      },
+      () => listModels({
+        provider: config.provider,
+        apiUrl: config.apiUrl,
+        token: config.token,
+        headers: config.headers
+      })
+    );
+
+    if (models.length === 0) {
+      vscode.window.showWarningMessage('The LLM server did not report any models.');
+      return;
+    }
+
+    const picked = await vscode.window.showQuickPick(
+      models.map(model => ({
+        label: model,
+        description: model === currentModel ? '(current)' : undefined
+      })),
+      {
+        placeHolder: `Current model: ${currentModel}`,
+        title: 'Select Model'
+      }
+    );
+
+    if (!picked) return;
+
+    const CONVERSATION = 'Use for this session';
+    const SETTINGS = 'Save as default in settings';
+
+    const scope = ChatPanel.current
+      ? await vscode.window.showQuickPick([CONVERSATION, SETTINGS], {
+          placeHolder: `Where should "${picked.label}" be used?`,
+          title: 'Select Model'
+        })
+      : SETTINGS;
+
+    if (!scope) return;
+
+    if (scope === CONVERSATION && ChatPanel.current) {
+      ChatPanel.current.setModel(picked.label);
+      return;
+    }
+
+    // With a connection profile in effect, its model is the default
+    if (config.profile) {
+      await setProfileModel(config.profile, picked.label);
+      ChatPanel.current?.setModel(picked.label);
+      vscode.window.showInformationMessage(`Default model of profile "${config.profile}" set to "${picked.label}"`);
+      return;
+    }
+
+    // Write to the scope that currently defines the model, so a workspace
+    // override isn't silently shadowing the new global value
+    const settings = vscode.workspace.getConfiguration('localLLM');
+    const inspected = settings.inspect<string>('model');
+    const target = inspected?.workspaceValue !== undefined
+      ? vscode.ConfigurationTarget.Workspace
+      : vscode.ConfigurationTarget.Global;
+
+    await settings.update('model', picked.label, target);
+    ChatPanel.current?.setModel(picked.label);
+
+    vscode.window.showInformationMessage(`Default model set to "${picked.label}"`);
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to load models: ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Gets the configuration and model the chat uses: those of the open
+ * session, or the settings if the chat is closed
+ */
+function getChatTarget(): { config: LLMConfig; model: string } {
+  const panel = ChatPanel.current;
+  return panel
+    ? { config: panel.getConfig(), model: panel.getModel() }
+    : { config: getLLMConfig(), model: getLLMConfig().model };
+}
+
+/**
+ * Checks the connection to the LLM server and explains any problem, with
+ * a shortcut to the fix
+ */
+async function testConnectionCommand(): Promise<void> {
+  const { config, model } = getChatTarget();
+  const result = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title: `Testing connection to ${config.apiUrl}...` },
+    () => checkConnection(config, model, Math.min(config.requestTimeout, 15000))
+  );
+
+  if (!result.problem) {
+    vscode.window.showInformationMessage(`✅ ${result.summary}`);
+    return;
+  }
+
+  const actions: Record<string, () => Thenable<unknown>> = {};
+  const settingKey = config.profile ? 'localLLM.profiles' : 'localLLM.apiUrl';
+  switch (result.problem) {
+    case 'auth':
+      actions['Set API Token'] = () => vscode.commands.executeCommand('localLLM.setApiToken');
+      break;
+    case 'model-not-found':
+      actions['Select Model'] = () => vscode.commands.executeCommand('localLLM.selectModel');
+      break;
+    case 'invalid-url':
+    case 'wrong-path':
+    case 'server-down':
+      actions['Open Settings'] = () => vscode.commands.executeCommand('workbench.action.openSettings', settingKey);
+      break;
+  }
+  actions['Retry'] = () => testConnectionCommand();
+
+  const message = `${result.summary}${result.hint ? ` ${result.hint}` : ''}`;
+  const choice = result.reachable
+    ? await vscode.window.showWarningMessage(message, ...Object.keys(actions))
+    : await vscode.window.showErrorMessage(message, ...Object.keys(actions));
+  if (choice) {
+    await actions[choice]();
+  }
+}
+
+/**
+ * Lets the user switch connection profiles, for the current chat session
+ * or for all sessions
+ */
+async function switchProfileCommand(): Promise<void> {
+  try {
+    const current = ChatPanel.current?.getConfig().profile ?? getActiveProfileName();
+    const picked = await pickProfile(current);
+    if (picked === null) return;
+
+    const SESSION = 'Pin to this session';
+    const ALL = 'Use for all sessions';
+
+    const scope = ChatPanel.current
+      ? await vscode.window.showQuickPick([SESSION, ALL], {
+          placeHolder: `Where should "${picked ?? 'Default Settings'}" be used?`,
+          title: 'Switch Connection Profile'
+        })
+      : ALL;
+
+    if (!scope) return;
+
+    if (scope === SESSION && ChatPanel.current) {
+      // Pinning the active profile just follows it
+      ChatPanel.current.setProfile(picked === getActiveProfileName() ? undefined : picked);
+      return;
+    }
+
+    await setActiveProfile(picked);
+    vscode.window.showInformationMessage(`Active connection profile: ${picked ?? 'Default Settings'}`);
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to switch profile: ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Stores an API token in secret storage for the current or another endpoint
+ */
+async function setApiTokenCommand(): Promise<void> {
+  try {
+    const config = ChatPanel.current?.getConfig() ?? getLLMConfig();
+    const current = getEndpointKey(config.apiUrl);
+    const stored = getTokenEndpoints();
+
+    // The current endpoint first, then those of profiles and stored tokens
+    const endpoints = [current];
+    for (const profile of getProfiles()) {
+      const endpoint = profile.apiUrl && getTokenEndpoint(profile, profile.apiUrl);
+      if (endpoint && !endpoints.includes(getEndpointKey(endpoint))) {
+        endpoints.push(getEndpointKey(endpoint));
+      }
+    }
+    for (const endpoint of stored) {
+      if (!endpoints.includes(endpoint)) {
+        endpoints.push(endpoint);
+      }
+    }
+
+    const items: Array<vscode.QuickPickItem & { endpoint?: string }> = [
+      ...endpoints.map(endpoint => ({
+        label: endpoint,
+        description: [
+          endpoint === current ? 'current endpoint' : undefined,
+          stored.includes(endpoint) ? 'token stored' : undefined
+        ].filter(Boolean).join(' · '),
+        endpoint
+      })),
+      { label: '$(add) Other endpoint...' }
+    ];
+
+    const pick = await vscode.window.showQuickPick(items, {
+      title: 'Set API Token',
+      placeHolder: 'Select the endpoint the token is for'
+    });
+    if (!pick) return;
+
+    let endpoint = pick.endpoint;
+    if (!endpoint) {
+      const url = await vscode.window.showInputBox({
+        prompt: 'Enter the API URL of the endpoint',
+        placeHolder: 'https://api.openai.com/v1/chat/completions',
+        validateInput: (value) => validateUrl(value) ? null : 'Enter a valid http(s) URL'
+      });
+      if (!url) return;
+      endpoint = getEndpointKey(url);
+    }
+
+    const token = await vscode.window.showInputBox({
+      prompt: `Enter the API token for ${endpoint}`,
+      password: true,
+      ignoreFocusOut: true,
+      validateInput: (value) => value.trim() ? null : 'Token cannot be empty'
+    });
+    if (!token) return;
+
+    await setStoredToken(endpoint, token.trim());
+    vscode.window.showInformationMessage(`API token for ${endpoint} saved in secure storage.`);
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to save API token: ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Removes stored API tokens
+ */
+async function clearApiTokenCommand(): Promise<void> {
+  try {
+    const stored = getTokenEndpoints();
+    if (stored.length === 0) {
+      vscode.window.showInformationMessage('No API tokens are stored.');
+      return;
+    }
+
+    const current = getEndpointKey(getLLMConfig().apiUrl);
+    const items: Array<vscode.QuickPickItem & { endpoints: string[] }> = stored.map(endpoint => ({
+      label: endpoint,
+      description: endpoint === current ? 'current endpoint' : undefined,
+      endpoints: [endpoint]
+    }));
+    if (stored.length > 1) {
+      items.push({ label: '$(trash) All endpoints', endpoints: stored });
+    }
+
+    const pick = await vscode.window.showQuickPick(items, {
+      title: 'Clear API Token',
+      placeHolder: 'Select the token to remove'
+    });
+    if (!pick) return;
+
+    for (const endpoint of pick.endpoints) {
+      await deleteStoredToken(endpoint);
+    }
+    vscode.window.showInformationMessage(
+      `Removed API token${pick.endpoints.length === 1 ? '' : 's'} for ${pick.endpoints.join(', ')}.`
+    );
+  } catch (error: any) {
+    vscode.window.showErrorMessage(`Failed to clear API token: ${error?.message ?? error}`);
+  }
+}
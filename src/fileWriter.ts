@@ -0,0 +1,84 @@
+/**
+ * Single entry point for writing LLM- or user-proposed content to workspace files
+ */
+
+import * as vscode from 'vscode';
+import { AuditOrigin } from './auditLog';
+import { applyChanges, stageChanges } from './changeSet';
+import { previewProposedChange } from './diffPreview';
+import { assertResolvedWriteAllowed, getWritePolicy } from './writePolicy';
+import {
+  getActiveWorkspaceFolder,
+  getLLMConfig,
+  resolveWorkspacePath,
+  validateRelativePath,
+  validateFileContent
+} from './utils';
+
+/**
+ * Writes a workspace file after validating it against the write policy.
+ * Unless `localLLM.allowWriteWithoutPrompt` is enabled, the user reviews
+ * the change in a diff preview first. The write is a WorkspaceEdit, so it
+ * can be undone.
+ *
+ * @param relPath - Workspace-relative path
+ * @param content - New file content
+ * @param origin - What triggered the write, for the audit log
+ * @returns True if the file was written
+ * @throws Error if the path, content size or write policy rejects the write
+ */
+export async function writeFileWithConfirm(
+  relPath: string,
+  content: string,
+  origin: AuditOrigin
+): Promise<boolean> {
+  // Security: Validate path
+  validateRelativePath(relPath);
+
+  // Get workspace
+  const workspace = getActiveWorkspaceFolder();
+  if (!workspace) {
+    vscode.window.showWarningMessage(
+      'No workspace folder open. Please open a folder to create files.'
+    );
+    return false;
+  }
+
+  // Security: Validate content size
+  const config = getLLMConfig();
+  validateFileContent(content, config.maxFileSize);
+
+  // Security: Build file URI, following symlinks to make sure it stays in the
+  // workspace, and check the write policy for both the path and its target
+  const fileUri = await resolveWorkspacePath(workspace, relPath);
+  const policy = getWritePolicy();
+  await assertResolvedWriteAllowed(workspace, relPath, policy);
+
+  // Check if file exists
+  let exists = false;
+  try {
+    await vscode.workspace.fs.stat(fileUri);
+    exists = true;
+  } catch {
+    exists = false;
+  }
+
+  // Show the proposed content in a diff editor and wait for Accept / Reject
+  const action = exists ? 'Overwrite' : 'Create';
+  if (!policy.allowWithoutPrompt) {
+    const accepted = await previewProposedChange(fileUri, relPath, content, exists);
+    if (!accepted) {
+      return false;
+    }
+  }
+
+  // Write file through a WorkspaceEdit so it can be undone
+  await applyChanges(await stageChanges(workspace, [{ path: relPath, content }]), origin);
+
+  // Open file in editor
+  const doc = await vscode.workspace.openTextDocument(fileUri);
+  await vscode.window.showTextDocument(doc, { preview: false });
+
+  vscode.window.showInformationMessage(`${action}d file: ${relPath}`);
+  return true;
+}
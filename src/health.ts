@@ -0,0 +1,401 @@
+/**
+ * Connection health checks against the configured LLM server
+ */
+
+import * as vscode from 'vscode';
+import { resolveEndpointUrl } from './llm';
+import { LLMConfig, ModelListOllama, ModelListOpenAI } from './types';
+import { validateUrl } from './utils';
+
+/**
+ * What is wrong with the connection, if anything
+ */
+export type HealthProblem =
+  | 'invalid-url'
+  | 'server-down'
+  | 'timeout'
+  | 'server-error'
+  | 'auth'
+  | 'wrong-path'
+  | 'model-not-found'
+  | 'unexpected-response';
+
+/**
+ * Outcome of a connection check
+ */
+export interface HealthResult {
+  /** The server answered over HTTP, whatever the status */
+  reachable: boolean;
+  apiUrl: string;
+  model: string;
+  profile?: string;
+  /** Round trip of the model list request */
+  latencyMs?: number;
+  models?: string[];
+  problem?: HealthProblem;
+  /** One-line description of the result */
+  summary: string;
+  /** What to do about the problem */
+  hint?: string;
+  checkedAt: number;
+}
+
+/**
+ * Result of a single GET against a model list endpoint
+ */
+type ProbeResult =
+  | { kind: 'ok'; url: string; latencyMs: number; models: string[] }
+  | { kind: 'http'; url: string; latencyMs: number; status: number }
+  | { kind: 'invalid'; url: string; latencyMs: number }
+  | { kind: 'network'; url: string; code?: string; message: string }
+  | { kind: 'timeout'; url: string };
+
+const DEFAULT_CHECK_TIMEOUT = 5000;
+const MIN_CHECK_INTERVAL = 10;
+
+const healthEmitter = new vscode.EventEmitter<HealthResult>();
+/** Fires after every connection check, whatever triggered it */
+export const onDidCheckConnection = healthEmitter.event;
+
+/**
+ * Checks that the server behind a configuration is reachable, accepts the
+ * credentials, and serves the model. Uses the model list endpoints, so no
+ * tokens are generated.
+ *
+ * @param config - Configuration to check, e.g. from ChatPanel.getConfig()
+ * @param model - Model the chat uses; defaults to `config.model`
+ * @param timeout - Timeout per request in milliseconds
+ */
+export async function checkConnection(
+  config: LLMConfig,
+  model: string = config.model,
+  timeout: number = DEFAULT_CHECK_TIMEOUT
+): Promise<HealthResult> {
+  const result = await runCheck(config, model, timeout);
+  healthEmitter.fire(result);
+  return result;
+}
+
+async function runCheck(config: LLMConfig, model: string, timeout: number): Promise<HealthResult> {
+  const base = { apiUrl: config.apiUrl, model, profile: config.profile, checkedAt: Date.now() };
+
+  if (!validateUrl(config.apiUrl)) {
+    return {
+      ...base,
+      reachable: false,
+      problem: 'invalid-url',
+      summary: `The API URL "${config.apiUrl}" is not a valid http(s) URL.`,
+      hint: 'Set localLLM.apiUrl (or the apiUrl of the profile) to e.g. http://localhost:11434/v1/chat/completions.'
+    };
+  }
+
+  const headers: Record<string, string> = {};
+  if (config.token && config.token.trim().length > 0) {
+    headers['Authorization'] = `Bearer ${config.token}`;
+  }
+  Object.assign(headers, config.headers);
+
+  const openAIModels = resolveEndpointUrl(config.apiUrl, '/v1/models');
+  const ollamaModels = resolveEndpointUrl(config.apiUrl, '/api/tags');
+  const urls = config.provider === 'ollama-native'
+    ? [ollamaModels, openAIModels]
+    : [openAIModels, ollamaModels];
+
+  // Try the other list endpoint only if the first one isn't there
+  const probes: ProbeResult[] = [];
+  for (const url of urls) {
+    const probe = await probeModelList(url, headers, timeout);
+    probes.push(probe);
+    if (probe.kind === 'ok' || probe.kind === 'network' || probe.kind === 'timeout' || isAuthFailure(probe)) {
+      break;
+    }
+  }
+
+  const origin = new URL(config.apiUrl).origin;
+  const ok = probes.find((p): p is Extract<ProbeResult, { kind: 'ok' }> => p.kind === 'ok');
+  const first = probes[0];
+
+  if (!ok) {
+    if (first.kind === 'network') {
+      return {
+        ...base,
+        reachable: false,
+        problem: 'server-down',
+        summary: `Cannot reach ${origin}: ${describeNetworkError(first.code, first.message)}`,
+        hint: 'Make sure the LLM server is running (e.g. `ollama serve`) and that host and port in the API URL are correct.'
+      };
+    }
+    if (first.kind === 'timeout') {
+      return {
+        ...base,
+        reachable: false,
+        problem: 'timeout',
+        summary: `${origin} did not answer within ${timeout / 1000} seconds.`,
+        hint: 'The server may be overloaded or still loading a model, or a firewall is dropping the connection.'
+      };
+    }
+
+    const auth = probes.find(isAuthFailure);
+    if (auth && auth.kind === 'http') {
+      return {
+        ...base,
+        reachable: true,
+        latencyMs: auth.latencyMs,
+        problem: 'auth',
+        summary: `${origin} rejected the credentials (HTTP ${auth.status}).`,
+        hint: 'Set the API token for this endpoint with "Local LLM: Set API Token", or check the headers of the profile.'
+      };
+    }
+
+    const serverError = probes.find(p => p.kind === 'http' && p.status >= 500);
+    if (serverError && serverError.kind === 'http') {
+      return {
+        ...base,
+        reachable: true,
+        latencyMs: serverError.latencyMs,
+        problem: 'server-error',
+        summary: `${origin} answered with a server error (${serverError.status}).`,
+        hint: 'Check the server logs; the server is up but failing to handle requests.'
+      };
+    }
+
+    const latencyMs = probes.map(p => 'latencyMs' in p ? p.latencyMs : undefined).find(ms => ms !== undefined);
+    if (probes.every(p => p.kind === 'http' && p.status === 404)) {
+      return {
+        ...base,
+        reachable: true,
+        latencyMs,
+        problem: 'wrong-path',
+        summary: `${origin} is up, but neither ${new URL(openAIModels).pathname} nor ${new URL(ollamaModels).pathname} exists there.`,
+        hint: 'Check the path of the API URL. OpenAI-compatible servers usually expect …/v1/chat/completions.'
+      };
+    }
+
+    return {
+      ...base,
+      reachable: true,
+      latencyMs,
+      problem: 'unexpected-response',
+      summary: `${origin} is up, but did not return a model list (${probes.map(describeProbe).join('; ')}).`,
+      hint: 'Make sure the API URL points at an OpenAI-compatible or Ollama server.'
+    };
+  }
+
+  const reachable = { ...base, reachable: true, latencyMs: ok.latencyMs, models: ok.models };
+
+  // OpenAI-compatible requests go to the API URL itself, so it must be the chat endpoint
+  const chatPath = new URL(config.apiUrl).pathname.replace(/\/+$/, '');
+  if (config.provider !== 'ollama-native' && !chatPath.endsWith('/chat/completions')) {
+    return {
+      ...reachable,
+      problem: 'wrong-path',
+      summary: `${origin} is up, but chat requests go to ${chatPath || '/'}, which is not a chat completions endpoint.`,
+      hint: `Change the API URL to ${resolveEndpointUrl(config.apiUrl, '/v1/chat/completions')}.`
+    };
+  }
+
+  if (ok.models.length > 0 && !hasModel(ok.models, model)) {
+    const available = ok.models.slice(0, 5).join(', ') + (ok.models.length > 5 ? ', …' : '');
+    return {
+      ...reachable,
+      problem: 'model-not-found',
+      summary: `${origin} is up, but does not serve the model "${model}".`,
+      hint: `Pick an available model with "Local LLM: Select Model" (${available})` +
+        (ok.url === ollamaModels ? `, or download it with \`ollama pull ${model}\`.` : '.')
+    };
+  }
+
+  return {
+    ...reachable,
+    summary: `Connected to ${origin} in ${ok.latencyMs} ms; model "${model}" is available.`
+  };
+}
+
+/**
+ * Requests a model list endpoint and classifies the outcome
+ */
+async function probeModelList(
+  url: string,
+  headers: Record<string, string>,
+  timeout: number
+): Promise<ProbeResult> {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const start = Date.now();
+
+  try {
+    const response = await fetch(url, { method: 'GET', headers, signal: controller.signal });
+    const latencyMs = Date.now() - start;
+
+    if (!response.ok) {
+      return { kind: 'http', url, latencyMs, status: response.status };
+    }
+
+    const json = await response.json().catch(() => undefined) as Partial<ModelListOpenAI & ModelListOllama> | undefined;
+    if (Array.isArray(json?.data)) {
+      return { kind: 'ok', url, latencyMs, models: json!.data.map(m => m.id).filter(Boolean) };
+    }
+    if (Array.isArray(json?.models)) {
+      return { kind: 'ok', url, latencyMs, models: json!.models.map(m => m.name).filter(Boolean) };
+    }
+    return { kind: 'invalid', url, latencyMs };
+  } catch (error: any) {
+    if (error?.name === 'AbortError') {
+      return { kind: 'timeout', url };
+    }
+    // Node's fetch reports the socket error as the cause of "fetch failed"
+    return { kind: 'network', url, code: error?.cause?.code, message: String(error?.cause?.message ?? error?.message ?? error) };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+function isAuthFailure(probe: ProbeResult): boolean {
+  return probe.kind === 'http' && (probe.status === 401 || probe.status === 403);
+}
+
+/**
+ * Whether a model list contains a model. Ollama lists `llama3.2:latest`
+ * for a model requested as `llama3.2`.
+ */
+function hasModel(models: string[], model: string): boolean {
+  return models.includes(model) || (!model.includes(':') && models.includes(`${model}:latest`));
+}
+
+function describeNetworkError(code: string | undefined, message: string): string {
+  switch (code) {
+    case 'ECONNREFUSED':
+      return 'connection refused, nothing is listening on that port.';
+    case 'ENOTFOUND':
+    case 'EAI_AGAIN':
+      return 'the host name could not be resolved.';
+    case 'ECONNRESET':
+      return 'the connection was reset by the server.';
+    case 'EHOSTUNREACH':
+    case 'ENETUNREACH':
+      return 'the host is not reachable from this machine.';
+    default:
+      if (code?.startsWith('ERR_TLS') || /certificate|SSL/i.test(message)) {
+        return `TLS error (${message}).`;
+      }
+      return message;
+  }
+}
+
+function describeProbe(probe: ProbeResult): string {
+  const path = new URL(probe.url).pathname;
+  switch (probe.kind) {
+    case 'http':
+      return `${path}: HTTP ${probe.status}`;
+    case 'invalid':
+      return `${path}: unrecognised response`;
+    default:
+      return `${path}: ${probe.kind}`;
+  }
+}
+
+/**
+ * Status bar item showing whether the server is reachable, the model and
+ * the latency. Checks every `localLLM.healthCheckInterval` seconds and
+ * after each check made elsewhere, e.g. by the Test Connection command.
+ * The checks only start on first use: the first `refresh()` (e.g. when the
+ * chat opens) or the first check made elsewhere, so a window that never
+ * uses the extension sends no requests.
+ *
+ * @param getTarget - Returns the configuration and model the chat uses
+ */
+export function createHealthStatusBar(
+  context: vscode.ExtensionContext,
+  getTarget: () => { config: LLMConfig; model: string }
+): { refresh(): void } {
+  const item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 99);
+  item.command = 'localLLM.testConnection';
+  context.subscriptions.push(item);
+
+  let timer: NodeJS.Timeout | undefined;
+  let checking = false;
+  let started = false;
+
+  const refresh = () => {
+    if (checking || getInterval() === 0) {
+      return;
+    }
+    checking = true;
+    const { config, model } = getTarget();
+    checkConnection(config, model)
+      .catch(error => console.error('Connection check failed:', error?.message ?? error))
+      .finally(() => { checking = false; });
+  };
+
+  const schedule = (checkNow: boolean) => {
+    if (timer) {
+      clearInterval(timer);
+      timer = undefined;
+    }
+    const interval = getInterval();
+    if (interval === 0) {
+      item.hide();
+      return;
+    }
+    timer = setInterval(refresh, interval * 1000);
+    if (checkNow) {
+      refresh();
+    }
+  };
+
+  const start = (checkNow: boolean) => {
+    started = true;
+    schedule(checkNow);
+  };
+
+  context.subscriptions.push(
+    onDidCheckConnection(result => {
+      if (!started) {
+        // The check that just finished counts as the first one
+        start(false);
+      }
+      if (getInterval() === 0) {
+        return;
+      }
+      const latency = result.latencyMs !== undefined ? ` ${result.latencyMs} ms` : '';
+      if (!result.reachable) {
+        item.text = '$(error) LLM offline';
+        item.backgroundColor = new vscode.ThemeColor('statusBarItem.errorBackground');
+      } else if (result.problem) {
+        item.text = `$(warning) ${result.model}`;
+        item.backgroundColor = new vscode.ThemeColor('statusBarItem.warningBackground');
+      } else {
+        item.text = `$(check) ${result.model}${latency}`;
+        item.backgroundColor = undefined;
+      }
+      item.tooltip = [
+        result.summary,
+        result.hint,
+        `Checked at ${new Date(result.checkedAt).toLocaleTimeString()}`,
+        'Click to test the connection again'
+      ].filter(Boolean).join('\n');
+      item.show();
+    }),
+    vscode.workspace.onDidChangeConfiguration(event => {
+      if (!started) {
+        return;
+      }
+      if (event.affectsConfiguration('localLLM.healthCheckInterval')) {
+        schedule(true);
+      } else if (event.affectsConfiguration('localLLM')) {
+        refresh();
+      }
+    }),
+    { dispose: () => timer && clearInterval(timer) }
+  );
+
+  return { refresh: () => (started ? refresh() : start(true)) };
+}
+
+/**
+ * Seconds between background checks; 0 disables them and the status bar item
+ */
+function getInterval(): number {
+  const interval = vscode.workspace.getConfiguration('localLLM').get<number>('healthCheckInterval') ?? 60;
+  return interval <= 0 ? 0 : Math.max(MIN_CHECK_INTERVAL, interval);
+}
@@ -5,27 +5,93 @@
 import {
   ChatMessage,
   LLMRequestOpenAI,
+  LLMRequestOllama,
   LLMResponseOpenAI,
-  LLMCallOptions
+  LLMResponseOllama,
+  LLMResponseStats,
+  LLMResult,
+  LLMStreamChunkOpenAI,
+  LLMCallOptions,
+  LLMProvider,
+  ModelListOpenAI,
+  ModelListOllama,
+  RetryInfo
 } from './types';
+import { getRedactionRules, redactMessages, SecretsBlockedError } from './redaction';
 import { validateUrl } from './utils';
 
+/**
+ * Thrown when a request is aborted through the caller's cancellation signal.
+ * Carries whatever content was streamed before the request was stopped.
+ */
+export class RequestCancelledError extends Error {
+  constructor(public readonly partialContent: string = '') {
+    super('Request cancelled');
+    this.name = 'RequestCancelledError';
+  }
+}
+
+/**
+ * Thrown when the server answers with a non-OK status
+ */
+export class LLMApiError extends Error {
+  constructor(
+    public readonly status: number,
+    detail: string,
+    /** Delay the server asked for in a `Retry-After` header */
+    public readonly retryAfterMs?: number
+  ) {
+    super(`LLM API error (${status}): ${detail}`);
+    this.name = 'LLMApiError';
+  }
+}
+
+// Longest wait between attempts; a longer Retry-After fails the request instead
+const MAX_RETRY_DELAY = 60000;
+
+/**
+ * Transport settings shared by all endpoint implementations
+ */
+interface EndpointOptions {
+  headers: Record<string, string>;
+  timeout: number;
+  stream: boolean;
+  onToken?: (delta: string) => void;
+  signal?: AbortSignal;
+  maxRetries: number;
+  retryBaseDelay: number;
+  onRetry?: (info: RetryInfo) => void;
+}
+
 /**
  * Calls the LLM API with the provided options
  *
  * @param options - LLM call configuration options
- * @returns Promise resolving to the LLM's response text
+ * @returns Promise resolving to the LLM's response text and generation stats
+ * @throws RequestCancelledError if the request is aborted via `options.signal`
+ * @throws SecretsBlockedError if secrets are found and redaction is set to block
  * @throws Error if the API call fails or times out
  */
-export async function callLLM(options: LLMCallOptions): Promise<string> {
+export async function callLLM(options: LLMCallOptions): Promise<LLMResult> {
   const {
+    provider = 'openai-compatible',
     apiUrl,
     model,
     token,
     messages,
     temperature = 0.7,
     maxTokens = 2048,
-    timeout = 120000
+    timeout = 120000,
+    headers: extraHeaders,
+    stream = false,
+    onToken,
+    signal,
+    redaction = 'off',
+    redactionPatterns,
+    onRedact,
+    maxRetries = 0,
+    retryBaseDelay = 1000,
+    onRetry
   } = options;
 
   if (!model || model.trim().length === 0) {
@@ -50,18 +116,171 @@ export async function callLLM(options: LLMCallOptions): Promise<string> {
     headers['Authorization'] = `Bearer ${token}`;
   }
 
-  // All providers now use OpenAI-compatible format
+  // Profile headers come last so they can replace the defaults
+  Object.assign(headers, extraHeaders);
+
+  if (signal?.aborted) {
+    throw new RequestCancelledError();
+  }
+
+  // Only send the fields the API understands; history entries may carry
+  // extension-specific metadata
+  let apiMessages: ChatMessage[] = messages.map(({ role, content }) => ({ role, content }));
+
+  // Security: Keep secrets from file contents and pasted text out of the request
+  if (redaction !== 'off') {
+    const redacted = redactMessages(apiMessages, getRedactionRules(redactionPatterns));
+    if (redacted.findings.length > 0) {
+      if (redaction === 'block') {
+        throw new SecretsBlockedError(redacted.findings);
+      }
+      apiMessages = redacted.messages;
+      onRedact?.(redacted.findings);
+    }
+  }
+
+  const endpointOptions: EndpointOptions = {
+    headers,
+    timeout,
+    stream,
+    onToken,
+    signal,
+    maxRetries,
+    retryBaseDelay,
+    onRetry
+  };
+
+  if (provider === 'ollama-native') {
+    return await callOllamaEndpoint(
+      resolveEndpointUrl(apiUrl, '/api/chat'),
+      model,
+      apiMessages,
+      temperature,
+      maxTokens,
+      endpointOptions
+    );
+  }
+
   return await callOpenAIEndpoint(
     apiUrl,
     model,
-    messages,
-    headers,
+    apiMessages,
     temperature,
     maxTokens,
-    timeout
+    endpointOptions
   );
 }
 
+/**
+ * Derives another endpoint of the same server from the configured API URL.
+ * Any OpenAI (`/v1/...`) or Ollama (`/api/...`) path is replaced, so
+ * `http://host:11434/v1/chat/completions` becomes `http://host:11434/api/chat`
+ * for `endpointPath` `/api/chat`. A reverse-proxy prefix before it is kept.
+ *
+ * @param apiUrl - The configured API URL
+ * @param endpointPath - Path of the target endpoint, starting with `/`
+ */
+export function resolveEndpointUrl(apiUrl: string, endpointPath: string): string {
+  const url = new URL(apiUrl);
+  const basePath = url.pathname
+    .replace(/\/(v1|api)(\/.*)?$/, '')
+    .replace(/\/+$/, '');
+
+  url.pathname = `${basePath}${endpointPath}`;
+  url.search = '';
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Lists the models available on the configured server.
+ * Queries `/v1/models` for OpenAI-compatible servers and `/api/tags` for
+ * native Ollama, falling back to the other endpoint if the first one fails
+ * (Ollama serves both).
+ *
+ * @returns Sorted, de-duplicated model names
+ * @throws Error if neither endpoint returns a model list
+ */
+export async function listModels(options: {
+  provider?: LLMProvider;
+  apiUrl: string;
+  token: string;
+  timeout?: number;
+  headers?: Record<string, string>;
+}): Promise<string[]> {
+  const { provider = 'openai-compatible', apiUrl, token, timeout = 10000, headers: extraHeaders } = options;
+
+  if (!validateUrl(apiUrl)) {
+    throw new Error(`Invalid API URL: ${apiUrl}`);
+  }
+
+  const headers: Record<string, string> = {};
+  if (token && token.trim().length > 0) {
+    headers['Authorization'] = `Bearer ${token}`;
+  }
+  Object.assign(headers, extraHeaders);
+
+  const fetchOpenAIModels = async (): Promise<string[]> => {
+    const json = await getJson<ModelListOpenAI>(resolveEndpointUrl(apiUrl, '/v1/models'), headers, timeout);
+    if (!Array.isArray(json.data)) {
+      throw new Error('Unexpected response from /v1/models');
+    }
+    return json.data.map(m => m.id);
+  };
+
+  const fetchOllamaModels = async (): Promise<string[]> => {
+    const json = await getJson<ModelListOllama>(resolveEndpointUrl(apiUrl, '/api/tags'), headers, timeout);
+    if (!Array.isArray(json.models)) {
+      throw new Error('Unexpected response from /api/tags');
+    }
+    return json.models.map(m => m.name);
+  };
+
+  const attempts = provider === 'ollama-native'
+    ? [fetchOllamaModels, fetchOpenAIModels]
+    : [fetchOpenAIModels, fetchOllamaModels];
+
+  let firstError: unknown;
+  for (const attempt of attempts) {
+    try {
+      const models = await attempt();
+      return Array.from(new Set(models.filter(Boolean))).sort((a, b) => a.localeCompare(b));
+    } catch (error) {
+      firstError = firstError ?? error;
+    }
+  }
+
+  throw firstError;
+}
+
+/**
+ * Sends a GET request and parses the JSON response
+ */
+async function getJson<T>(url: string, headers: Record<string, string>, timeout: number): Promise<T> {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { method: 'GET', headers, signal: controller.signal });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(
+        `LLM API error (${response.status}): ${errorText || response.statusText}`
+      );
+    }
+
+    return (await response.json()) as T;
+  } catch (error: any) {
+    if (error.name === 'AbortError') {
+      throw new Error(`Request timed out after ${timeout / 1000} seconds`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
 /**
  * Calls an OpenAI-compatible endpoint
  */
@@ -69,37 +288,38 @@ async function callOpenAIEndpoint(
   url: string,
   model: string,
   messages: ChatMessage[],
-  headers: Record<string, string>,
   temperature: number,
   maxTokens: number,
-  timeout: number
-): Promise<string> {
+  options: EndpointOptions
+): Promise<LLMResult> {
   const body: LLMRequestOpenAI = {
     model,
     messages,
     temperature,
     max_tokens: maxTokens,
-    stream: false
+    stream: options.stream
   };
 
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+  // Streams only report token counts when asked to
+  if (options.stream) {
+    body.stream_options = { include_usage: true };
+  }
 
-    const response = await fetch(url, {
-      method: 'POST',
-      headers,
-      body: JSON.stringify(body),
-      signal: controller.signal
-    });
+  return await postToEndpoint(url, body, options, async (response, onDelta) => {
+    if (options.stream) {
+      const { content, usage } = await readOpenAIStream(response, onDelta);
 
-    clearTimeout(timeoutId);
+      if (!content) {
+        throw new Error('Empty response from LLM');
+      }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `LLM API error (${response.status}): ${errorText || response.statusText}`
-      );
+      return {
+        content: content.trim(),
+        stats: {
+          promptTokens: usage?.prompt_tokens,
+          completionTokens: usage?.completion_tokens
+        }
+      };
     }
 
     const json = (await response.json()) as LLMResponseOpenAI;
@@ -113,13 +333,408 @@ async function callOpenAIEndpoint(
       throw new Error('Empty response from LLM');
     }
 
-    return content.trim();
+    return {
+      content: content.trim(),
+      stats: {
+        promptTokens: json.usage?.prompt_tokens,
+        completionTokens: json.usage?.completion_tokens
+      }
+    };
+  });
+}
+
+/**
+ * Calls Ollama's native `/api/chat` endpoint
+ */
+async function callOllamaEndpoint(
+  url: string,
+  model: string,
+  messages: ChatMessage[],
+  temperature: number,
+  maxTokens: number,
+  options: EndpointOptions
+): Promise<LLMResult> {
+  const body: LLMRequestOllama = {
+    model,
+    messages,
+    stream: options.stream,
+    options: {
+      temperature,
+      num_predict: maxTokens
+    }
+  };
+
+  return await postToEndpoint(url, body, options, async (response, onDelta) => {
+    let final: LLMResponseOllama;
+    let content: string;
+
+    if (options.stream) {
+      const result = await readOllamaStream(response, onDelta);
+      if (!result.final) {
+        throw new Error('Ollama stream ended before completion');
+      }
+      final = result.final;
+      content = result.content;
+    } else {
+      final = (await response.json()) as LLMResponseOllama;
+      if (final.error) {
+        throw new Error(`LLM API error: ${final.error}`);
+      }
+      content = final.message?.content ?? '';
+    }
+
+    if (!content) {
+      throw new Error('Empty response from LLM');
+    }
+
+    return { content: content.trim(), stats: getOllamaStats(final) };
+  });
+}
+
+/**
+ * Sends a JSON POST request and hands the successful response to `handle`.
+ * Applies the request timeout, forwards external cancellation and maps
+ * aborts to timeout or cancellation errors. Network errors, 429 and 5xx
+ * responses are retried with exponential backoff before the response
+ * arrives; nothing is retried once content has been streamed.
+ *
+ * @param handle - Reads the response; must report streamed content through
+ *                 the provided `onDelta` so it can be kept on cancellation
+ */
+async function postToEndpoint(
+  url: string,
+  body: LLMRequestOpenAI | LLMRequestOllama,
+  options: EndpointOptions,
+  handle: (response: Response, onDelta: (delta: string) => void) => Promise<LLMResult>
+): Promise<LLMResult> {
+  const { headers, timeout, onToken, signal, maxRetries, retryBaseDelay, onRetry } = options;
+  const startTime = Date.now();
+
+  const controller = new AbortController();
+  let timeoutId = setTimeout(() => controller.abort(), timeout);
+
+  // Forward external cancellation to the request
+  const onCancel = () => controller.abort();
+  signal?.addEventListener('abort', onCancel);
+  let partialContent = '';
+
+  // While streaming, the timeout applies to the gap between chunks
+  // rather than to the whole generation
+  const onDelta = (delta: string) => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeout);
+    partialContent += delta;
+    onToken?.(delta);
+  };
+
+  try {
+    let response: Response;
+    for (let attempt = 0; ; attempt++) {
+      let failure: { error: Error; retryable: boolean; retryAfterMs?: number };
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: controller.signal
+        });
+
+        if (response.ok) {
+          break;
+        }
+
+        const errorText = await response.text();
+        const error = new LLMApiError(
+          response.status,
+          errorText || response.statusText,
+          parseRetryAfter(response.headers.get('retry-after'))
+        );
+        failure = { error, retryable: isRetryableStatus(response.status), retryAfterMs: error.retryAfterMs };
+      } catch (error: any) {
+        // Timeouts and cancellation are final; anything else fetch throws is a network error
+        if (controller.signal.aborted) {
+          throw error;
+        }
+        failure = { error, retryable: true };
+      }
+
+      const delayMs = failure.retryAfterMs ?? getBackoffDelay(retryBaseDelay, attempt);
+      if (!failure.retryable || attempt >= maxRetries || delayMs > MAX_RETRY_DELAY) {
+        throw failure.error;
+      }
+
+      onRetry?.({
+        attempt: attempt + 1,
+        maxRetries,
+        delayMs,
+        reason: describeRetryReason(failure.error)
+      });
+
+      // The request timeout doesn't run while waiting between attempts
+      clearTimeout(timeoutId);
+      await delay(delayMs, controller.signal);
+      timeoutId = setTimeout(() => controller.abort(), timeout);
+    }
+
+    const result = await handle(response, onDelta);
+
+    return {
+      ...result,
+      stats: {
+        ...result.stats,
+        totalDurationMs: result.stats?.totalDurationMs ?? Date.now() - startTime
+      }
+    };
 
   } catch (error: any) {
+    if (signal?.aborted) {
+      throw new RequestCancelledError(partialContent.trim());
+    }
     if (error.name === 'AbortError') {
       throw new Error(`Request timed out after ${timeout / 1000} seconds`);
     }
     throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onCancel);
+  }
+}
+
+/**
+ * Whether a status is worth retrying: rate limiting and server errors
+ * (e.g. 503 while Ollama loads a model). 501 and 505 won't change.
+ */
+function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 429 || (status >= 500 && status !== 501 && status !== 505);
+}
+
+/**
+ * Parses a `Retry-After` header, given in seconds or as an HTTP date
+ *
+ * @returns The delay in milliseconds, or undefined if missing or invalid
+ */
+function parseRetryAfter(value: string | null): number | undefined {
+  if (!value) {
+    return undefined;
+  }
+
+  const seconds = Number(value.trim());
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return Math.round(seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with jitter: the delay doubles with each attempt and
+ * is randomised between 50% and 100% so clients don't retry in lockstep
+ *
+ * @param attempt - Zero-based number of the failed attempt
+ */
+function getBackoffDelay(baseDelay: number, attempt: number): number {
+  const ceiling = Math.min(MAX_RETRY_DELAY, baseDelay * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Short reason for a retry status line, e.g. "server busy (503)"
+ */
+function describeRetryReason(error: Error): string {
+  if (error instanceof LLMApiError) {
+    if (error.status === 429) {
+      return 'rate limited (429)';
+    }
+    if (error.status === 408 || error.status === 504) {
+      return `server timed out (${error.status})`;
+    }
+    return error.status === 503 ? 'server busy (503)' : `server error (${error.status})`;
+  }
+  const code = (error as any)?.cause?.code;
+  return code ? `network error (${code})` : 'network error';
+}
+
+/**
+ * Waits for a number of milliseconds
+ *
+ * @throws The signal's abort reason if it is aborted while waiting
+ */
+function delay(ms: number, signal: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Reads a response body line by line
+ *
+ * @param onLine - Called for each line; returns whether to keep reading
+ */
+async function readLines(
+  response: Response,
+  onLine: (line: string) => boolean
+): Promise<void> {
+  if (!response.body) {
+    throw new Error('LLM API returned no response body for streaming request');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let stopped = false;
+
+  while (!stopped) {
+    const { value, done } = await reader.read();
+    if (done) {
+      break;
+    }
+
+    buffer += decoder.decode(value, { stream: true });
+
+    let newlineIndex: number;
+    while (!stopped && (newlineIndex = buffer.indexOf('\n')) >= 0) {
+      stopped = !onLine(buffer.slice(0, newlineIndex));
+      buffer = buffer.slice(newlineIndex + 1);
+    }
+  }
+
+  if (!stopped && buffer.trim().length > 0) {
+    onLine(buffer);
+  }
+
+  if (stopped) {
+    await reader.cancel().catch(() => undefined);
   }
 }
 
+/**
+ * Reads an OpenAI-compatible server-sent event stream.
+ * Each event is a `data: {json}` line; the stream ends with `data: [DONE]`.
+ *
+ * @param response - Fetch response with an SSE body
+ * @param onDelta - Called with each non-empty content delta
+ * @returns The concatenated content of all deltas and usage if the server sent it
+ */
+async function readOpenAIStream(
+  response: Response,
+  onDelta: (delta: string) => void
+): Promise<{ content: string; usage?: LLMResponseOpenAI['usage'] }> {
+  let content = '';
+  let usage: LLMResponseOpenAI['usage'];
+
+  await readLines(response, (line) => {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('data:')) {
+      return true;
+    }
+
+    const data = trimmed.slice(5).trim();
+    if (data === '[DONE]') {
+      return false;
+    }
+
+    let chunk: LLMStreamChunkOpenAI;
+    try {
+      chunk = JSON.parse(data) as LLMStreamChunkOpenAI;
+    } catch {
+      // Ignore keep-alive or malformed lines
+      return true;
+    }
+
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+
+    return true;
+  });
+
+  return { content, usage };
+}
+
+/**
+ * Reads an Ollama NDJSON stream: one JSON object per line, the last one
+ * with `done: true` and the generation statistics.
+ *
+ * @param response - Fetch response with an NDJSON body
+ * @param onDelta - Called with each non-empty content delta
+ * @returns The concatenated content and the final (`done`) object
+ */
+async function readOllamaStream(
+  response: Response,
+  onDelta: (delta: string) => void
+): Promise<{ content: string; final?: LLMResponseOllama }> {
+  let content = '';
+  let final: LLMResponseOllama | undefined;
+
+  await readLines(response, (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return true;
+    }
+
+    let chunk: LLMResponseOllama;
+    try {
+      chunk = JSON.parse(trimmed) as LLMResponseOllama;
+    } catch {
+      return true;
+    }
+
+    if (chunk.error) {
+      throw new Error(`LLM API error: ${chunk.error}`);
+    }
+
+    const delta = chunk.message?.content;
+    if (delta) {
+      content += delta;
+      onDelta(delta);
+    }
+
+    if (chunk.done) {
+      final = chunk;
+      return false;
+    }
+
+    return true;
+  });
+
+  return { content, final };
+}
+
+/**
+ * Converts Ollama's nanosecond timings into response stats
+ */
+function getOllamaStats(response: LLMResponseOllama): LLMResponseStats {
+  const toMs = (ns?: number) => (ns !== undefined ? ns / 1e6 : undefined);
+
+  let tokensPerSecond: number | undefined;
+  if (response.eval_count && response.eval_duration) {
+    tokensPerSecond = response.eval_count / (response.eval_duration / 1e9);
+  }
+
+  return {
+    promptTokens: response.prompt_eval_count,
+    completionTokens: response.eval_count,
+    totalDurationMs: toMs(response.total_duration),
+    loadDurationMs: toMs(response.load_duration),
+    tokensPerSecond
+  };
+}
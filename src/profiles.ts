@@ -0,0 +1,203 @@
+/**
+ * Named connection profiles for switching between LLM backends
+ */
+
+import * as vscode from 'vscode';
+import { ConnectionProfile } from './types';
+
+// Profiles whose mismatched tokenEndpoint was already reported
+const warnedTokenEndpoints = new Set<string>();
+
+/**
+ * Reads a profile setting from the user settings only. Profiles decide
+ * where stored API tokens are sent, so a workspace's settings must not be
+ * able to define or activate one (the settings are also application-scoped).
+ */
+function getUserSetting<T>(key: 'profiles' | 'activeProfile'): T | undefined {
+  return vscode.workspace.getConfiguration('localLLM').inspect<T>(key)?.globalValue;
+}
+
+/**
+ * Lists the profiles defined in `localLLM.profiles`. Entries without a name
+ * are ignored; for duplicate names the first entry wins.
+ */
+export function getProfiles(): ConnectionProfile[] {
+  const configured = getUserSetting<ConnectionProfile[]>('profiles') ?? [];
+  const seen = new Set<string>();
+
+  return configured.filter(profile => {
+    const name = typeof profile?.name === 'string' ? profile.name.trim() : '';
+    if (!name || seen.has(name)) {
+      return false;
+    }
+    seen.add(name);
+    return true;
+  });
+}
+
+/**
+ * Gets a profile by name
+ */
+export function getProfile(name: string | undefined): ConnectionProfile | undefined {
+  if (!name) {
+    return undefined;
+  }
+  return getProfiles().find(profile => profile.name.trim() === name);
+}
+
+/**
+ * Gets the name of the active profile, if it refers to a defined profile
+ */
+export function getActiveProfileName(): string | undefined {
+  const name = getUserSetting<string>('activeProfile')?.trim();
+  return getProfile(name) ? name : undefined;
+}
+
+/**
+ * Gets the URL whose stored API token a profile uses. A `tokenEndpoint` on
+ * another origin than the profile's `apiUrl` is refused, since the token
+ * would be sent to `apiUrl`.
+ */
+export function getTokenEndpoint(profile: ConnectionProfile | undefined, apiUrl: string): string {
+  const endpoint = profile?.tokenEndpoint;
+  if (!profile || !endpoint || getOrigin(endpoint) === getOrigin(apiUrl)) {
+    return endpoint ?? apiUrl;
+  }
+
+  if (!warnedTokenEndpoints.has(profile.name)) {
+    warnedTokenEndpoints.add(profile.name);
+    vscode.window.showWarningMessage(
+      `Profile "${profile.name}": tokenEndpoint ${endpoint} is not on the same host as apiUrl ${apiUrl}, so its token is not used.`
+    );
+  }
+  return apiUrl;
+}
+
+/**
+ * Gets the origin (scheme, host and port) of a URL, or undefined if it
+ * isn't one
+ */
+function getOrigin(url: string): string | undefined {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Makes a profile active for all sessions that don't pin one
+ *
+ * @param name - Profile name, or undefined to use the plain settings
+ */
+export async function setActiveProfile(name: string | undefined): Promise<void> {
+  const settings = vscode.workspace.getConfiguration('localLLM');
+  await settings.update('activeProfile', name ?? '', vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * Stores a model as the default of a profile
+ */
+export async function setProfileModel(name: string, model: string): Promise<void> {
+  const settings = vscode.workspace.getConfiguration('localLLM');
+  const profiles = getUserSetting<ConnectionProfile[]>('profiles') ?? [];
+
+  const index = profiles.findIndex(profile => profile?.name?.trim() === name);
+  if (index === -1) {
+    throw new Error(`Profile "${name}" is not defined in localLLM.profiles`);
+  }
+
+  const updated = profiles.map((profile, i) => i === index ? { ...profile, model } : profile);
+  await settings.update('profiles', updated, vscode.ConfigurationTarget.Global);
+}
+
+/**
+ * Lets the user pick a profile, or the plain settings
+ *
+ * @param current - Name of the profile currently in effect
+ * @returns The picked profile name (undefined for the plain settings), or
+ *          null if the pick was cancelled
+ */
+export async function pickProfile(current: string | undefined): Promise<string | undefined | null> {
+  const profiles = getProfiles();
+  if (profiles.length === 0) {
+    const choice = await vscode.window.showInformationMessage(
+      'No connection profiles are defined. Add them to the "localLLM.profiles" setting.',
+      'Open Settings'
+    );
+    if (choice === 'Open Settings') {
+      await vscode.commands.executeCommand('workbench.action.openSettings', 'localLLM.profiles');
+    }
+    return null;
+  }
+
+  const items: Array<vscode.QuickPickItem & { profile?: string }> = [
+    ...profiles.map(profile => ({
+      label: profile.name,
+      description: [
+        profile.model,
+        profile.name === current ? '(current)' : undefined
+      ].filter(Boolean).join(' '),
+      detail: profile.apiUrl,
+      profile: profile.name
+    })),
+    {
+      label: 'Default Settings',
+      description: current === undefined ? '(current)' : undefined,
+      detail: 'Use the plain localLLM.apiUrl / model settings'
+    }
+  ];
+
+  const pick = await vscode.window.showQuickPick(items, {
+    title: 'Switch Connection Profile',
+    placeHolder: `Current profile: ${current ?? 'Default Settings'}`
+  });
+
+  return pick ? pick.profile : null;
+}
+
+/**
+ * Status bar item showing the profile the chat uses; clicking it switches
+ * profiles. Hidden while no profiles are defined.
+ *
+ * @param getSessionProfile - Returns the profile pinned to the open chat session
+ */
+export function createProfileStatusBar(
+  context: vscode.ExtensionContext,
+  getSessionProfile: () => string | undefined
+): { update(): void } {
+  const item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 100);
+  item.command = 'localLLM.switchProfile';
+  context.subscriptions.push(item);
+
+  const update = () => {
+    if (getProfiles().length === 0) {
+      item.hide();
+      return;
+    }
+
+    const pinned = getProfile(getSessionProfile())?.name;
+    const name = pinned ?? getActiveProfileName() ?? 'Default Settings';
+    const profile = getProfile(name);
+
+    item.text = `$(server) ${name}${pinned ? ' $(pin)' : ''}`;
+    item.tooltip = [
+      `Local LLM profile: ${name}${pinned ? ' (pinned to this chat session)' : ''}`,
+      profile?.apiUrl,
+      profile?.model ? `Model: ${profile.model}` : undefined,
+      'Click to switch profiles'
+    ].filter(Boolean).join('\n');
+    item.show();
+  };
+
+  context.subscriptions.push(
+    vscode.workspace.onDidChangeConfiguration(event => {
+      if (event.affectsConfiguration('localLLM.profiles') || event.affectsConfiguration('localLLM.activeProfile')) {
+        update();
+      }
+    })
+  );
+
+  update();
+  return { update };
+}
@@ -0,0 +1,156 @@
+/**
+ * Detection and redaction of secrets in outbound prompt content
+ */
+
+import { ChatMessage, RedactionFinding, RedactionPattern } from './types';
+
+/**
+ * Thrown when `localLLM.redactSecrets` is `block` and a request contains
+ * secrets. Nothing is sent to the model.
+ */
+export class SecretsBlockedError extends Error {
+  constructor(public readonly findings: RedactionFinding[]) {
+    super(`Request blocked: it contains ${describeFindings(findings)}`);
+    this.name = 'SecretsBlockedError';
+  }
+}
+
+/**
+ * A compiled detection rule. If the regex has a group named `secret`, only
+ * that group is replaced, so `password = hunter2` keeps its key name.
+ */
+interface RedactionRule {
+  name: string;
+  regex: RegExp;
+}
+
+const SECRET_KEY_NAMES =
+  '(?:password|passwd|pwd|secret|token|api[_-]?key|client[_-]?secret)';
+
+const BUILT_IN_RULES: RedactionRule[] = [
+  {
+    name: 'private key',
+    regex: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----[\s\S]*?-----END (?:[A-Z0-9]+ )*PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  { name: 'AWS access key', regex: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA)[0-9A-Z]{16}\b/g },
+  {
+    name: 'AWS secret key',
+    regex: /\baws_secret_access_key\b["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})/gi
+  },
+  { name: 'JWT', regex: /\beyJ[A-Za-z0-9_-]{5,}\.eyJ[A-Za-z0-9_-]{5,}\.[A-Za-z0-9_-]{10,}/g },
+  { name: 'GitHub token', regex: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g },
+  { name: 'OpenAI key', regex: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'Slack token', regex: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  {
+    name: 'URL credentials',
+    regex: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:(?<secret>[^\s@/]+)@/gi
+  },
+  // Quoted values anywhere, e.g. `"password": "..."` or `apiKey = '...'`
+  {
+    name: 'password assignment',
+    regex: new RegExp(`\\b[\\w.-]*${SECRET_KEY_NAMES}["']?\\s*[:=]\\s*(["'])(?<secret>[^\\s"']{4,})\\1`, 'gi')
+  },
+  // Unquoted values in .env, YAML and INI style lines, e.g. `DB_PASSWORD=...`
+  {
+    name: 'password assignment',
+    regex: new RegExp(`^\\s*(?:export\\s+)?[\\w.-]*${SECRET_KEY_NAMES}\\s*[:=]\\s*(?<secret>[^\\s"'#()]{4,})\\s*$`, 'gim')
+  }
+];
+
+/**
+ * Compiles the built-in rules plus custom patterns from the settings
+ *
+ * @throws Error if a custom pattern is not a valid regular expression
+ */
+export function getRedactionRules(customPatterns: RedactionPattern[] = []): RedactionRule[] {
+  const custom = customPatterns.map((pattern, i) => {
+    const name = pattern.name?.trim() || `custom pattern ${i + 1}`;
+    try {
+      const flags = pattern.flags ?? '';
+      return { name, regex: new RegExp(pattern.pattern, flags.includes('g') ? flags : flags + 'g') };
+    } catch (error: any) {
+      throw new Error(`Invalid redaction pattern "${name}": ${error?.message ?? error}`);
+    }
+  });
+
+  return [...BUILT_IN_RULES, ...custom];
+}
+
+/**
+ * Replaces secrets in a text with `[REDACTED:<name>]` placeholders
+ *
+ * @returns The redacted text and how often each rule matched
+ */
+export function redactText(
+  text: string,
+  rules: RedactionRule[]
+): { text: string; findings: RedactionFinding[] } {
+  const counts = new Map<string, number>();
+  let result = text;
+
+  for (const rule of rules) {
+    rule.regex.lastIndex = 0;
+    result = result.replace(rule.regex, (...args: any[]) => {
+      const match: string = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : undefined;
+      const secret: string | undefined = groups?.secret;
+
+      // Already-redacted text and empty matches are left alone
+      if (!match || match.includes('[REDACTED:') || (groups && !secret)) {
+        return match;
+      }
+
+      counts.set(rule.name, (counts.get(rule.name) ?? 0) + 1);
+      const placeholder = `[REDACTED:${rule.name}]`;
+      if (!secret) {
+        return placeholder;
+      }
+      const start = match.lastIndexOf(secret);
+      return match.slice(0, start) + placeholder + match.slice(start + secret.length);
+    });
+  }
+
+  return {
+    text: result,
+    findings: [...counts].map(([name, count]) => ({ name, count }))
+  };
+}
+
+/**
+ * Redacts secrets in every message
+ *
+ * @returns The redacted copies of the messages and the combined findings
+ */
+export function redactMessages(
+  messages: ChatMessage[],
+  rules: RedactionRule[]
+): { messages: ChatMessage[]; findings: RedactionFinding[] } {
+  const counts = new Map<string, number>();
+
+  const redacted = messages.map(message => {
+    const { text, findings } = redactText(message.content, rules);
+    for (const finding of findings) {
+      counts.set(finding.name, (counts.get(finding.name) ?? 0) + finding.count);
+    }
+    return { ...message, content: text };
+  });
+
+  return {
+    messages: redacted,
+    findings: [...counts].map(([name, count]) => ({ name, count }))
+  };
+}
+
+/**
+ * Whether a text contains anything the rules would redact
+ */
+export function containsSecrets(text: string, rules: RedactionRule[]): boolean {
+  return redactText(text, rules).findings.length > 0;
+}
+
+/**
+ * Describes findings for a notice, e.g. "2 × JWT, 1 × private key"
+ */
+export function describeFindings(findings: RedactionFinding[]): string {
+  return findings.map(f => `${f.count} × ${f.name}`).join(', ');
+}
@@ -0,0 +1,148 @@
+/**
+ * API tokens kept in VS Code's secret storage, one per endpoint
+ */
+
+import * as vscode from 'vscode';
+
+const SECRET_KEY_PREFIX = 'localLLM.token:';
+// SecretStorage cannot list its keys, so the endpoints with a token are tracked here
+const ENDPOINT_INDEX_KEY = 'localLLM.tokenEndpoints';
+
+let secrets: vscode.SecretStorage | undefined;
+let globalState: vscode.Memento | undefined;
+// Tokens by endpoint, loaded on activation so getLLMConfig can stay synchronous
+const tokenCache = new Map<string, string>();
+
+/**
+ * Loads stored tokens into memory, keeps them in sync with other windows,
+ * and moves a token found in the settings into secret storage
+ */
+export async function initSecrets(context: vscode.ExtensionContext): Promise<void> {
+  secrets = context.secrets;
+  globalState = context.globalState;
+
+  for (const endpoint of getTokenEndpoints()) {
+    const token = await secrets.get(SECRET_KEY_PREFIX + endpoint);
+    if (token) {
+      tokenCache.set(endpoint, token);
+    }
+  }
+
+  context.subscriptions.push(
+    secrets.onDidChange(async (event) => {
+      if (!event.key.startsWith(SECRET_KEY_PREFIX)) {
+        return;
+      }
+      const endpoint = event.key.slice(SECRET_KEY_PREFIX.length);
+      const token = await secrets?.get(event.key);
+      if (token) {
+        tokenCache.set(endpoint, token);
+      } else {
+        tokenCache.delete(endpoint);
+      }
+    })
+  );
+
+  await migrateTokenFromSettings();
+}
+
+/**
+ * Gets the endpoint key of an API URL: its origin, so all paths on one
+ * server share a token
+ */
+export function getEndpointKey(apiUrl: string): string {
+  try {
+    return new URL(apiUrl).origin;
+  } catch {
+    return apiUrl.trim();
+  }
+}
+
+/**
+ * Gets the stored token for an API URL
+ */
+export function getStoredToken(apiUrl: string): string | undefined {
+  return tokenCache.get(getEndpointKey(apiUrl));
+}
+
+/**
+ * Lists the endpoints that have a stored token
+ */
+export function getTokenEndpoints(): string[] {
+  return globalState?.get<string[]>(ENDPOINT_INDEX_KEY) ?? [];
+}
+
+/**
+ * Stores the token for an endpoint
+ */
+export async function setStoredToken(endpoint: string, token: string): Promise<void> {
+  if (!secrets || !globalState) {
+    throw new Error('Secret storage is not available');
+  }
+
+  await secrets.store(SECRET_KEY_PREFIX + endpoint, token);
+  tokenCache.set(endpoint, token);
+
+  const endpoints = getTokenEndpoints();
+  if (!endpoints.includes(endpoint)) {
+    await globalState.update(ENDPOINT_INDEX_KEY, [...endpoints, endpoint].sort());
+  }
+}
+
+/**
+ * Deletes the token for an endpoint
+ */
+export async function deleteStoredToken(endpoint: string): Promise<void> {
+  if (!secrets || !globalState) {
+    throw new Error('Secret storage is not available');
+  }
+
+  await secrets.delete(SECRET_KEY_PREFIX + endpoint);
+  tokenCache.delete(endpoint);
+  await globalState.update(
+    ENDPOINT_INDEX_KEY,
+    getTokenEndpoints().filter(e => e !== endpoint)
+  );
+}
+
+/**
+ * Moves a token from the `localLLM.token` setting into secret storage for
+ * the configured endpoint and removes it from the user and workspace settings
+ */
+async function migrateTokenFromSettings(): Promise<void> {
+  const config = vscode.workspace.getConfiguration('localLLM');
+  const inspected = config.inspect<string>('token');
+  if (!inspected) {
+    return;
+  }
+
+  const scopes: Array<[string | undefined, vscode.ConfigurationTarget]> = [
+    [inspected.workspaceValue, vscode.ConfigurationTarget.Workspace],
+    [inspected.globalValue, vscode.ConfigurationTarget.Global]
+  ];
+  const found = scopes.filter(([value]) => value !== undefined);
+  if (found.length === 0) {
+    return;
+  }
+
+  // The most specific scope is the token that was in effect
+  const token = found[0][0]?.trim();
+  const endpoint = getEndpointKey(config.get<string>('apiUrl') ?? '');
+
+  try {
+    if (token && token !== inspected.defaultValue) {
+      await setStoredToken(endpoint, token);
+    }
+    for (const [, target] of found) {
+      await config.update('token', undefined, target);
+    }
+
+    if (token && token !== inspected.defaultValue) {
+      vscode.window.showInformationMessage(
+        `Your API token for ${endpoint} was moved from settings into secure storage.`
+      );
+    }
+  } catch (error: any) {
+    console.error('Failed to migrate API token from settings:', error?.message ?? error);
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * Named chat sessions, persisted per workspace
+ */
+
+import * as vscode from 'vscode';
+import { ChatMessage, ChatSession } from './types';
+
+const STORAGE_KEY = 'localLLM.sessions';
+
+/**
+ * Shape of the saved session state
+ */
+interface StoredSessions {
+  activeSessionId?: string;
+  sessions: ChatSession[];
+}
+
+/**
+ * Keeps all chat sessions of the workspace and tracks the active one.
+ * Sessions always live in memory; they are written to the workspace state
+ * only while the `localLLM.persistConversation` setting is enabled.
+ */
+export class SessionStore {
+  private sessions: ChatSession[] = [];
+  private activeSessionId: string | undefined;
+
+  constructor(private readonly state: vscode.Memento) {
+    this.load();
+  }
+
+  /**
+   * Whether sessions should be written to workspace storage
+   */
+  isEnabled(): boolean {
+    return vscode.workspace.getConfiguration('localLLM').get<boolean>('persistConversation') ?? true;
+  }
+
+  /**
+   * Lists all sessions, most recently used first
+   */
+  list(): ChatSession[] {
+    return [...this.sessions].sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  /**
+   * Gets a session by id
+   */
+  get(id: string): ChatSession | undefined {
+    return this.sessions.find(s => s.id === id);
+  }
+
+  /**
+   * Gets the active session, creating one if there is none
+   */
+  getActive(): ChatSession {
+    const active = this.activeSessionId ? this.get(this.activeSessionId) : undefined;
+    return active ?? this.create();
+  }
+
+  /**
+   * Creates a new empty session and makes it active
+   *
+   * @param name - Display name; defaults to "Session N"
+   * @param messages - Initial history (usually just the system prompt)
+   */
+  create(name?: string, messages: ChatMessage[] = []): ChatSession {
+    const now = Date.now();
+    const session: ChatSession = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      name: name?.trim() || this.nextDefaultName(),
+      messages,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.sessions.push(session);
+    this.activeSessionId = session.id;
+    return session;
+  }
+
+  /**
+   * Makes the given session active
+   */
+  setActive(id: string): ChatSession {
+    const session = this.get(id);
+    if (!session) {
+      throw new Error(`Session not found: ${id}`);
+    }
+
+    this.activeSessionId = id;
+    return session;
+  }
+
+  /**
+   * Renames a session
+   */
+  rename(id: string, name: string): void {
+    const session = this.get(id);
+    if (!session) {
+      throw new Error(`Session not found: ${id}`);
+    }
+
+    const trimmed = name.trim();
+    if (!trimmed) {
+      throw new Error('Session name cannot be empty');
+    }
+
+    session.name = trimmed;
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * Deletes a session. If it was active, the most recently used remaining
+   * session becomes active (or none, so the next `getActive` creates one).
+   */
+  delete(id: string): void {
+    this.sessions = this.sessions.filter(s => s.id !== id);
+
+    if (this.activeSessionId === id) {
+      this.activeSessionId = this.list()[0]?.id;
+    }
+  }
+
+  /**
+   * Marks a session as changed so it sorts first
+   */
+  touch(session: ChatSession): void {
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * Saves all sessions. When persistence is disabled, any previously
+   * saved sessions are removed from storage instead.
+   */
+  async save(): Promise<void> {
+    if (!this.isEnabled()) {
+      await this.state.update(STORAGE_KEY, undefined);
+      return;
+    }
+
+    const stored: StoredSessions = {
+      activeSessionId: this.activeSessionId,
+      sessions: this.sessions
+    };
+    await this.state.update(STORAGE_KEY, stored);
+  }
+
+  /**
+   * Loads saved sessions
+   */
+  private load(): void {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    const stored = this.state.get<StoredSessions>(STORAGE_KEY);
+    if (stored && Array.isArray(stored.sessions)) {
+      this.sessions = stored.sessions.filter(s => s && s.id && Array.isArray(s.messages));
+      this.activeSessionId = stored.activeSessionId;
+    }
+  }
+
+  /**
+   * Picks the first unused "Session N" name
+   */
+  private nextDefaultName(): string {
+    const names = new Set(this.sessions.map(s => s.name));
+    let n = this.sessions.length + 1;
+    while (names.has(`Session ${n}`)) {
+      n++;
+    }
+    return `Session ${n}`;
+  }
+}
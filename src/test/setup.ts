@@ -0,0 +1,14 @@
+/**
+ * Test setup: serves `vscode` imports from the stub, since tests run
+ * outside the editor
+ */
+
+import * as vscodeStub from './vscodeStub';
+
+// Module._load is internal to Node.js and not part of its typings
+const Module = require('module') as { _load: (request: string, ...rest: unknown[]) => unknown };
+
+const load = Module._load;
+Module._load = function (this: unknown, request: string, ...rest: unknown[]) {
+  return request === 'vscode' ? vscodeStub : load.call(this, request, ...rest);
+};
@@ -0,0 +1,115 @@
+/**
+ * Tests for the workspace path checks: traversal and symlinks must not
+ * let reads or writes escape the workspace folder
+ */
+
+import { test, describe, before, after } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { realpathOfNearestExisting, resolveWorkspacePath, validateRelativePath } from '../utils';
+
+describe('validateRelativePath', () => {
+  test('accepts plain relative paths', () => {
+    assert.doesNotThrow(() => validateRelativePath('src/utils.ts'));
+    assert.doesNotThrow(() => validateRelativePath('./README.md'));
+  });
+
+  test('accepts names that merely contain two dots', () => {
+    assert.doesNotThrow(() => validateRelativePath('foo..bar.ts'));
+    assert.doesNotThrow(() => validateRelativePath('src/..hidden/a.ts'));
+  });
+
+  test('rejects .. segments', () => {
+    assert.throws(() => validateRelativePath('../secret.txt'), /traversal/);
+    assert.throws(() => validateRelativePath('src/../../secret.txt'), /traversal/);
+    assert.throws(() => validateRelativePath('a/b/../../../c.ts'), /traversal/);
+  });
+
+  test('rejects absolute, empty and NUL paths', () => {
+    assert.throws(() => validateRelativePath('/etc/passwd'), /Absolute/);
+    assert.throws(() => validateRelativePath(''), /empty/);
+    assert.throws(() => validateRelativePath('a\0b.ts'), /null bytes/);
+  });
+});
+
+describe('resolveWorkspacePath', () => {
+  let sandbox: string;
+  let root: string;
+  let outside: string;
+  let workspace: vscode.WorkspaceFolder;
+
+  before(() => {
+    sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'local-llm-paths-'));
+    root = path.join(sandbox, 'workspace');
+    outside = path.join(sandbox, 'outside');
+    fs.mkdirSync(path.join(root, 'src'), { recursive: true });
+    fs.mkdirSync(outside);
+    fs.writeFileSync(path.join(root, 'src', 'a.ts'), 'export {};\n');
+    fs.writeFileSync(path.join(outside, 'secret.txt'), 'secret\n');
+
+    fs.symlinkSync(outside, path.join(root, 'linkOut'), 'dir');
+    fs.symlinkSync(path.join(root, 'src'), path.join(root, 'linkIn'), 'dir');
+    fs.symlinkSync(path.join(outside, 'missing.txt'), path.join(root, 'dangling'));
+
+    workspace = { uri: vscode.Uri.file(root), name: 'workspace', index: 0 };
+  });
+
+  after(() => {
+    fs.rmSync(sandbox, { recursive: true, force: true });
+  });
+
+  test('resolves existing and new files inside the workspace', async () => {
+    const uri = await resolveWorkspacePath(workspace, 'src/a.ts');
+    assert.strictEqual(uri.fsPath, path.join(root, 'src', 'a.ts'));
+    await assert.doesNotReject(resolveWorkspacePath(workspace, 'src/new/file.ts'));
+  });
+
+  test('accepts names that merely contain two dots', async () => {
+    await assert.doesNotReject(resolveWorkspacePath(workspace, 'foo..bar.ts'));
+  });
+
+  test('rejects .. segments', async () => {
+    await assert.rejects(resolveWorkspacePath(workspace, '../outside/secret.txt'), /traversal/);
+  });
+
+  test('rejects a symlinked directory pointing outside', async () => {
+    await assert.rejects(resolveWorkspacePath(workspace, 'linkOut/secret.txt'), /outside the workspace/);
+    // Writing a new file through the link would also land outside
+    await assert.rejects(resolveWorkspacePath(workspace, 'linkOut/new.txt'), /outside the workspace/);
+  });
+
+  test('rejects a dangling symlink', async () => {
+    await assert.rejects(resolveWorkspacePath(workspace, 'dangling'), /broken symbolic link/);
+  });
+
+  test('accepts a symlink that stays inside', async () => {
+    await assert.doesNotReject(resolveWorkspacePath(workspace, 'linkIn/a.ts'));
+  });
+});
+
+describe('realpathOfNearestExisting', () => {
+  let sandbox: string;
+
+  before(() => {
+    sandbox = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'local-llm-realpath-')));
+    fs.mkdirSync(path.join(sandbox, 'target'));
+    fs.symlinkSync(path.join(sandbox, 'target'), path.join(sandbox, 'link'), 'dir');
+    fs.symlinkSync(path.join(sandbox, 'nowhere'), path.join(sandbox, 'dangling'));
+  });
+
+  after(() => {
+    fs.rmSync(sandbox, { recursive: true, force: true });
+  });
+
+  test('follows links in existing ancestors of a missing path', async () => {
+    const real = await realpathOfNearestExisting(path.join(sandbox, 'link', 'new', 'file.ts'));
+    assert.strictEqual(real, path.join(sandbox, 'target', 'new', 'file.ts'));
+  });
+
+  test('throws for a broken link on the way', async () => {
+    await assert.rejects(realpathOfNearestExisting(path.join(sandbox, 'dangling', 'file.ts')), /broken symbolic link/);
+  });
+});
@@ -0,0 +1,26 @@
+/**
+ * The few parts of the `vscode` API the tested modules use, so their
+ * tests run in plain Node.js
+ */
+
+import * as path from 'path';
+
+export class Uri {
+  private constructor(readonly scheme: string, readonly fsPath: string) {}
+
+  get path(): string {
+    return this.fsPath.split(path.sep).join('/');
+  }
+
+  static file(fsPath: string): Uri {
+    return new Uri('file', fsPath);
+  }
+
+  static joinPath(base: Uri, ...segments: string[]): Uri {
+    return new Uri(base.scheme, path.join(base.fsPath, ...segments));
+  }
+
+  toString(): string {
+    return `${this.scheme}://${this.path}`;
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Tests for the write policy: the deny list must hold however a path is
+ * spelled and wherever a symlink points
+ */
+
+import { test, describe, before, after } from 'node:test';
+import * as assert from 'assert';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import * as vscode from 'vscode';
+import { assertResolvedWriteAllowed, DEFAULT_WRITE_DENY_LIST, isWriteAllowed, WritePolicy } from '../writePolicy';
+
+const policy: WritePolicy = { allowWithoutPrompt: false, allowList: [], denyList: DEFAULT_WRITE_DENY_LIST };
+
+/**
+ * Runs a test body as if on another platform
+ */
+function onPlatform(platform: NodeJS.Platform, body: () => void): void {
+  const original = Object.getOwnPropertyDescriptor(process, 'platform')!;
+  Object.defineProperty(process, 'platform', { value: platform });
+  try {
+    body();
+  } finally {
+    Object.defineProperty(process, 'platform', original);
+  }
+}
+
+describe('isWriteAllowed', () => {
+  test('allows paths no rule matches', () => {
+    assert.strictEqual(isWriteAllowed('src/app.ts', policy), true);
+    assert.strictEqual(isWriteAllowed('docs/github.md', policy), true);
+  });
+
+  test('denies paths matching the deny list', () => {
+    assert.strictEqual(isWriteAllowed('.github/workflows/ci.yml', policy), false);
+    assert.strictEqual(isWriteAllowed('packages/api/.env', policy), false);
+  });
+
+  test('denies paths spelled with extra ./ and / segments', () => {
+    assert.strictEqual(isWriteAllowed('./.github/workflows/ci.yml', policy), false);
+    assert.strictEqual(isWriteAllowed('.//.github/workflows/ci.yml', policy), false);
+    assert.strictEqual(isWriteAllowed('././.github/x', policy), false);
+    assert.strictEqual(isWriteAllowed('.github//workflows/./ci.yml', policy), false);
+    assert.strictEqual(isWriteAllowed('.\\.github\\workflows\\ci.yml', policy), false);
+  });
+
+  test('ignores case on case-insensitive platforms', () => {
+    for (const platform of ['darwin', 'win32'] as const) {
+      onPlatform(platform, () => {
+        assert.strictEqual(isWriteAllowed('.GitHub/workflows/x.yml', policy), false);
+        assert.strictEqual(isWriteAllowed('.ENV', policy), false);
+      });
+    }
+    onPlatform('linux', () => {
+      assert.strictEqual(isWriteAllowed('.GitHub/workflows/x.yml', policy), true);
+    });
+  });
+
+  test('lets the deny list win over the allow list', () => {
+    const allowAll: WritePolicy = { ...policy, allowList: ['**'] };
+    assert.strictEqual(isWriteAllowed('src/app.ts', allowAll), true);
+    assert.strictEqual(isWriteAllowed('.github/x', allowAll), false);
+  });
+
+  test('denies paths outside a non-empty allow list', () => {
+    const srcOnly: WritePolicy = { ...policy, allowList: ['src/**'] };
+    assert.strictEqual(isWriteAllowed('src/app.ts', srcOnly), true);
+    assert.strictEqual(isWriteAllowed('./src/app.ts', srcOnly), true);
+    assert.strictEqual(isWriteAllowed('README.md', srcOnly), false);
+  });
+});
+
+describe('assertResolvedWriteAllowed', () => {
+  let sandbox: string;
+  let workspace: vscode.WorkspaceFolder;
+
+  before(() => {
+    sandbox = fs.mkdtempSync(path.join(os.tmpdir(), 'local-llm-policy-'));
+    fs.mkdirSync(path.join(sandbox, '.github', 'workflows'), { recursive: true });
+    fs.mkdirSync(path.join(sandbox, 'docs'));
+    fs.mkdirSync(path.join(sandbox, 'src'));
+    fs.symlinkSync(path.join(sandbox, '.github'), path.join(sandbox, 'docs', 'ci'), 'dir');
+    fs.symlinkSync(path.join(sandbox, 'src'), path.join(sandbox, 'lib'), 'dir');
+
+    workspace = { uri: vscode.Uri.file(sandbox), name: 'workspace', index: 0 };
+  });
+
+  after(() => {
+    fs.rmSync(sandbox, { recursive: true, force: true });
+  });
+
+  test('allows plain paths and links to allowed folders', async () => {
+    await assert.doesNotReject(assertResolvedWriteAllowed(workspace, 'src/app.ts', policy));
+    await assert.doesNotReject(assertResolvedWriteAllowed(workspace, 'lib/app.ts', policy));
+  });
+
+  test('denies a path through a symlink into a denied folder', async () => {
+    await assert.rejects(
+      assertResolvedWriteAllowed(workspace, 'docs/ci/workflows/ci.yml', policy),
+      /link to "\.github\/workflows\/ci\.yml".*writeDenyList/
+    );
+  });
+
+  test('denies the denied path itself', async () => {
+    await assert.rejects(assertResolvedWriteAllowed(workspace, '.github/workflows/ci.yml', policy), /writeDenyList/);
+  });
+});
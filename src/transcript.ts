@@ -0,0 +1,190 @@
+/**
+ * Conversation export and import (Markdown and JSON transcripts)
+ */
+
+import { ChatMessage, ChatSession, Role } from './types';
+
+const TRANSCRIPT_FORMAT = 'local-llm-chat-transcript';
+const TRANSCRIPT_VERSION = 1;
+
+/**
+ * A conversation as exported to or imported from a JSON transcript
+ */
+export interface Transcript {
+  name: string;
+  model?: string;
+  temperature?: number;
+  systemPrompt?: string;
+  /** Summary of turns that were compacted away */
+  summary?: string;
+  messages: ChatMessage[];
+}
+
+/**
+ * On-disk JSON transcript format
+ */
+interface TranscriptFile {
+  format: typeof TRANSCRIPT_FORMAT;
+  version: number;
+  name: string;
+  exportedAt: string;
+  model?: string;
+  temperature?: number;
+  systemPrompt?: string;
+  summary?: string;
+  messages: Array<{
+    role: Role;
+    content: string;
+    timestamp?: string;
+    cancelled?: boolean;
+  }>;
+}
+
+/**
+ * Builds a transcript from a session and the settings it ran with
+ */
+export function sessionToTranscript(
+  session: ChatSession,
+  defaults: { model: string; temperature: number; systemPrompt: string }
+): Transcript {
+  const systemMessage = session.messages.find(m => m.role === 'system');
+
+  return {
+    name: session.name,
+    model: session.model ?? defaults.model,
+    temperature: defaults.temperature,
+    systemPrompt: systemMessage?.content ?? session.systemPrompt ?? defaults.systemPrompt,
+    summary: session.summary?.content,
+    messages: session.messages
+  };
+}
+
+/**
+ * Serializes a transcript as structured JSON
+ */
+export function transcriptToJson(transcript: Transcript): string {
+  const file: TranscriptFile = {
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    name: transcript.name,
+    exportedAt: new Date().toISOString(),
+    model: transcript.model,
+    temperature: transcript.temperature,
+    systemPrompt: transcript.systemPrompt,
+    summary: transcript.summary,
+    messages: transcript.messages.map(m => ({
+      role: m.role,
+      content: m.content,
+      timestamp: m.timestamp !== undefined ? new Date(m.timestamp).toISOString() : undefined,
+      cancelled: m.cancelled || undefined
+    }))
+  };
+
+  return JSON.stringify(file, null, 2) + '\n';
+}
+
+/**
+ * Renders a transcript as a readable Markdown document.
+ * Message content is kept verbatim so code fences survive.
+ */
+export function transcriptToMarkdown(transcript: Transcript): string {
+  const lines: string[] = [];
+
+  lines.push(`# ${transcript.name}`, '');
+  if (transcript.model) {
+    lines.push(`- **Model:** ${transcript.model}`);
+  }
+  if (transcript.temperature !== undefined) {
+    lines.push(`- **Temperature:** ${transcript.temperature}`);
+  }
+  lines.push(`- **Exported:** ${new Date().toLocaleString()}`, '');
+
+  if (transcript.systemPrompt) {
+    lines.push('## System Prompt', '');
+    lines.push(...transcript.systemPrompt.split('\n').map(line => `> ${line}`), '');
+  }
+
+  if (transcript.summary) {
+    lines.push('## Summary of Earlier Conversation', '');
+    lines.push(...transcript.summary.split('\n').map(line => `> ${line}`), '');
+  }
+
+  const titles: Record<Role, string> = {
+    system: '⚙️ System',
+    user: '👤 User',
+    assistant: '🤖 Assistant'
+  };
+
+  for (const message of transcript.messages) {
+    if (message.role === 'system') {
+      continue;
+    }
+
+    let heading = `## ${titles[message.role]}`;
+    if (message.timestamp !== undefined) {
+      heading += ` — ${new Date(message.timestamp).toLocaleString()}`;
+    }
+    if (message.cancelled) {
+      heading += ' (cancelled)';
+    }
+
+    lines.push('---', '', heading, '', message.content, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Parses and validates a JSON transcript
+ *
+ * @param text - Contents of a JSON transcript file
+ * @throws Error if the text is not a valid transcript
+ */
+export function parseTranscript(text: string): Transcript {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (error: any) {
+    throw new Error(`Invalid JSON: ${error?.message ?? error}`);
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.messages)) {
+    throw new Error('Not a conversation transcript: "messages" array is missing');
+  }
+
+  if (data.format !== undefined && data.format !== TRANSCRIPT_FORMAT) {
+    throw new Error(`Unsupported transcript format: ${data.format}`);
+  }
+
+  if (typeof data.version === 'number' && data.version > TRANSCRIPT_VERSION) {
+    throw new Error(`Transcript version ${data.version} is newer than this extension supports`);
+  }
+
+  const roles: Role[] = ['system', 'user', 'assistant'];
+  const messages: ChatMessage[] = data.messages.map((m: any, index: number) => {
+    if (!m || !roles.includes(m.role) || typeof m.content !== 'string') {
+      throw new Error(`Invalid message at index ${index}: expected a role and string content`);
+    }
+
+    const message: ChatMessage = { role: m.role, content: m.content };
+
+    const timestamp = typeof m.timestamp === 'number' ? m.timestamp : Date.parse(m.timestamp);
+    if (!Number.isNaN(timestamp)) {
+      message.timestamp = timestamp;
+    }
+    if (m.cancelled === true) {
+      message.cancelled = true;
+    }
+
+    return message;
+  });
+
+  return {
+    name: typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Imported Session',
+    model: typeof data.model === 'string' ? data.model : undefined,
+    temperature: typeof data.temperature === 'number' ? data.temperature : undefined,
+    systemPrompt: typeof data.systemPrompt === 'string' ? data.systemPrompt : undefined,
+    summary: typeof data.summary === 'string' && data.summary.trim() ? data.summary : undefined,
+    messages
+  };
+}
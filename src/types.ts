@@ -4,9 +4,82 @@
 
 export type Role = 'system' | 'user' | 'assistant';
 
+/**
+ * API dialect spoken by the configured server
+ */
+export type LLMProvider = 'openai-compatible' | 'ollama-native';
+
 export interface ChatMessage {
+  /** Stable id, used by the webview to refer to the message */
+  id?: string;
   role: Role;
   content: string;
+  /** Set when the response was stopped before it completed */
+  cancelled?: boolean;
+  /** When the message was added (ms since epoch) */
+  timestamp?: number;
+  /** Inactive versions of the conversation from this message on (see branches.ts) */
+  branches?: ChatMessage[][];
+  /** Position of the active version among all versions */
+  branchIndex?: number;
+  /** Items attached with @ mentions, kept apart from the typed text */
+  attachments?: AttachedContent[];
+}
+
+/**
+ * Which of several versions of the conversation a message starts
+ */
+export interface BranchInfo {
+  /** Zero-based position of the active version */
+  index: number;
+  count: number;
+}
+
+/**
+ * A message as rendered by the webview
+ */
+export interface ChatMessageView {
+  id?: string;
+  role: Role;
+  content: string;
+  cancelled?: boolean;
+  timestamp?: number;
+  branch?: BranchInfo;
+  /** Files a reply proposes, offered again when the view is rebuilt */
+  files?: FileSuggestion[];
+  /** Edits a reply proposes, offered again when the view is rebuilt */
+  edits?: EditSuggestion[];
+  /** Names of the items attached to a user message */
+  attached?: string[];
+}
+
+/**
+ * A named conversation with its own history, model and system prompt
+ */
+export interface ChatSession {
+  id: string;
+  name: string;
+  messages: ChatMessage[];
+  /** Model for this session; the `localLLM.model` setting when unset */
+  model?: string;
+  /** System prompt for this session; the `localLLM.systemPrompt` setting when unset */
+  systemPrompt?: string;
+  /** Connection profile pinned to this session; the active profile when unset */
+  profile?: string;
+  /** Summary that replaces the session's oldest turns after compaction */
+  summary?: ConversationSummary;
+  createdAt: number;
+  updatedAt: number;
+}
+
+/**
+ * Model-written (and possibly user-edited) summary of compacted turns
+ */
+export interface ConversationSummary {
+  content: string;
+  /** How many messages the summary replaces in total */
+  messageCount: number;
+  updatedAt: number;
 }
 
 /**
@@ -18,6 +91,8 @@ export interface LLMRequestOpenAI {
   temperature?: number;
   max_tokens?: number;
   stream?: boolean;
+  /** Asks for a final chunk with token usage when streaming */
+  stream_options?: { include_usage: boolean };
 }
 
 /**
@@ -29,6 +104,24 @@ export interface LLMResponseOpenAIChoice {
   finish_reason?: string;
 }
 
+/**
+ * OpenAI-compatible streaming chunk (one SSE `data:` payload)
+ */
+export interface LLMStreamChunkOpenAIChoice {
+  index: number;
+  delta: Partial<ChatMessage>;
+  finish_reason?: string | null;
+}
+
+export interface LLMStreamChunkOpenAI {
+  id?: string;
+  object?: string;
+  created?: number;
+  model?: string;
+  choices: LLMStreamChunkOpenAIChoice[];
+  usage?: LLMResponseOpenAI['usage'];
+}
+
 export interface LLMResponseOpenAI {
   id?: string;
   object?: string;
@@ -56,17 +149,60 @@ export interface LLMRequestOllama {
 }
 
 /**
- * Ollama native API response format
+ * Ollama native API response format.
+ * When streaming, one of these is sent per NDJSON line; durations are in
+ * nanoseconds and only present on the final (`done: true`) line.
  */
 export interface LLMResponseOllama {
   model: string;
   created_at: string;
   message: ChatMessage;
   done: boolean;
+  done_reason?: string;
   total_duration?: number;
   load_duration?: number;
   prompt_eval_count?: number;
+  prompt_eval_duration?: number;
   eval_count?: number;
+  eval_duration?: number;
+  error?: string;
+}
+
+/**
+ * Generation statistics reported by the server (or measured by the client)
+ */
+export interface LLMResponseStats {
+  promptTokens?: number;
+  completionTokens?: number;
+  /** Wall-clock duration of the whole request in milliseconds */
+  totalDurationMs?: number;
+  /** Time the server spent loading the model in milliseconds */
+  loadDurationMs?: number;
+  /** Generation speed in tokens per second */
+  tokensPerSecond?: number;
+}
+
+/**
+ * Result of an LLM call
+ */
+export interface LLMResult {
+  content: string;
+  stats?: LLMResponseStats;
+}
+
+/**
+ * OpenAI-compatible `/v1/models` response format
+ */
+export interface ModelListOpenAI {
+  object?: string;
+  data: Array<{ id: string; object?: string; owned_by?: string }>;
+}
+
+/**
+ * Ollama `/api/tags` response format
+ */
+export interface ModelListOllama {
+  models: Array<{ name: string; model?: string; size?: number; modified_at?: string }>;
 }
 
 /**
@@ -75,28 +211,107 @@ export interface LLMResponseOllama {
 export interface FileSuggestion {
   path: string;
   content: string;
+  // Timestamp of the assistant message that proposed it
+  messageTimestamp?: number;
+}
+
+/**
+ * Search/replace hunk of an edit fence
+ */
+export interface EditHunk {
+  search: string;
+  replace: string;
+}
+
+/**
+ * Targeted edit extracted from LLM response
+ */
+export interface EditSuggestion {
+  path: string;
+  hunks: EditHunk[];
+  // Set when the fence could not be parsed
+  error?: string;
+  // Timestamp of the assistant message that proposed it
+  messageTimestamp?: number;
+}
+
+/**
+ * Named backend connection from `localLLM.profiles`. Unset fields fall
+ * back to the plain settings.
+ */
+export interface ConnectionProfile {
+  name: string;
+  provider?: LLMProvider;
+  apiUrl?: string;
+  /** Endpoint whose stored API token is used; the origin of `apiUrl` when unset */
+  tokenEndpoint?: string;
+  model?: string;
+  temperature?: number;
+  maxTokens?: number;
+  /** Context window of the profile's models in tokens */
+  contextWindow?: number;
+  requestTimeout?: number;
+  /** Extra HTTP headers sent with every request */
+  headers?: Record<string, string>;
+}
+
+/**
+ * How secrets in outbound prompts are handled
+ */
+export type RedactionMode = 'off' | 'redact' | 'block';
+
+/**
+ * Custom secret pattern from `localLLM.redactionPatterns`
+ */
+export interface RedactionPattern {
+  name?: string;
+  pattern: string;
+  flags?: string;
+}
+
+/**
+ * How often a redaction rule matched in a request
+ */
+export interface RedactionFinding {
+  name: string;
+  count: number;
 }
 
 /**
  * Extension configuration settings
  */
 export interface LLMConfig {
+  /** Name of the connection profile merged into these settings, if any */
+  profile?: string;
+  provider: LLMProvider;
   apiUrl: string;
   token: string;
   model: string;
   temperature: number;
   maxTokens: number;
   systemPrompt: string;
-  maxHistoryMessages: number;
+  /** Context window in tokens for models without an entry in modelContextWindows */
+  contextWindow: number;
+  /** Context windows by model name */
+  modelContextWindows: Record<string, number>;
+  /** Summarize the oldest turns instead of leaving them out when history exceeds the budget */
+  autoCompact: boolean;
   requestTimeout: number;
   maxFileSize: number;
   allowWriteWithoutPrompt: boolean;
+  streaming: boolean;
+  redactSecrets: RedactionMode;
+  redactionPatterns: RedactionPattern[];
+  headers: Record<string, string>;
+  maxRetries: number;
+  retryBaseDelay: number;
 }
 
 /**
  * LLM call options
  */
 export interface LLMCallOptions {
+  provider?: LLMProvider;
   apiUrl: string;
   model: string;
   token: string;
@@ -104,6 +319,36 @@ export interface LLMCallOptions {
   temperature?: number;
   maxTokens?: number;
   timeout?: number;
+  /** Extra HTTP headers, e.g. from a connection profile */
+  headers?: Record<string, string>;
+  stream?: boolean;
+  /** Called with each content delta while a streamed response arrives */
+  onToken?: (delta: string) => void;
+  /** Aborts the request when signalled */
+  signal?: AbortSignal;
+  /** What to do with secrets found in the messages (default: off) */
+  redaction?: RedactionMode;
+  /** Custom secret patterns in addition to the built-in ones */
+  redactionPatterns?: RedactionPattern[];
+  /** Called with what was redacted before the request is sent */
+  onRedact?: (findings: RedactionFinding[]) => void;
+  /** How often to retry network errors, 429 and 5xx responses (default: 0) */
+  maxRetries?: number;
+  /** Delay before the first retry in milliseconds; doubles with each retry */
+  retryBaseDelay?: number;
+  /** Called before waiting for a retry */
+  onRetry?: (info: RetryInfo) => void;
+}
+
+/**
+ * A retry about to happen after a transient failure
+ */
+export interface RetryInfo {
+  /** One-based number of the retry */
+  attempt: number;
+  maxRetries: number;
+  delayMs: number;
+  reason: string;
 }
 
 /**
@@ -114,8 +359,44 @@ export type WebviewMessageType =
   | 'chat:append'
   | 'chat:error'
   | 'chat:clear'
+  | 'chat:restore'
+  | 'chat:streamStart'
+  | 'chat:streamDelta'
+  | 'chat:streamEnd'
+  | 'chat:busy'
+  | 'chat:retry'
+  | 'context:usage'
+  | 'summary:show'
+  | 'summary:update'
+  | 'message:edit'
+  | 'message:regenerate'
+  | 'message:branch'
+  | 'message:branchInfo'
+  | 'mention:search'
+  | 'mention:results'
+  | 'attachment:measure'
+  | 'attachment:measured'
+  | 'chat:cancel'
+  | 'webview:ready'
+  | 'models:request'
+  | 'models:list'
+  | 'models:select'
+  | 'sessions:list'
+  | 'session:switch'
+  | 'session:new'
+  | 'session:rename'
+  | 'session:delete'
+  | 'session:editPrompt'
+  | 'code:copy'
+  | 'code:insert'
+  | 'code:replace'
+  | 'code:open'
   | 'file:create'
-  | 'file:suggest';
+  | 'file:suggest'
+  | 'file:suggestAll'
+  | 'file:applyAll'
+  | 'edit:suggest'
+  | 'edit:apply';
 
 export interface WebviewMessage {
   type: WebviewMessageType;
@@ -124,4 +405,80 @@ export interface WebviewMessage {
   content?: string;
   message?: string;
   file?: FileSuggestion;
+  files?: FileSuggestion[];
+  edit?: EditSuggestion;
+  cancelled?: boolean;
+  busy?: boolean;
+  stats?: string;
+  model?: string;
+  models?: string[];
+  messages?: ChatMessageView[];
+  /** Message an action or update refers to */
+  messageId?: string;
+  branch?: BranchInfo;
+  /** Direction to switch branches in: -1 or 1 */
+  delta?: number;
+  sessions?: Array<{ id: string; name: string }>;
+  sessionId?: string;
+  code?: string;
+  language?: string;
+  usage?: ContextUsage;
+  summary?: ConversationSummary;
+  /** Text typed after @ in the chat input */
+  query?: string;
+  suggestions?: MentionSuggestion[];
+  attachment?: Attachment;
+  attachments?: Attachment[];
+  /** Names of the items attached to an appended user message */
+  attached?: string[];
+}
+
+/**
+ * A file, folder or symbol mentioned with @ in the chat input; its content
+ * is added to the message when it is sent
+ */
+export interface Attachment {
+  kind: 'file' | 'folder' | 'symbol';
+  /** Workspace-relative path of the file or folder, or of the symbol's file */
+  path: string;
+  /** Name of the symbol */
+  symbol?: string;
+  /** Zero-based, inclusive line range of the symbol, or of part of a file */
+  startLine?: number;
+  endLine?: number;
+  /** Bytes that will be attached, once measured */
+  size?: number;
+  /** Estimated tokens that will be attached, once measured */
+  tokens?: number;
+}
+
+/**
+ * An item attached to a sent message, with its content as loaded then
+ */
+export interface AttachedContent {
+  /** Short name shown with the message, e.g. `src/app.ts:10-20` */
+  name: string;
+  /** Formatted content, added to the message when it is sent to the model */
+  text: string;
+}
+
+/**
+ * An entry of the @-mention autocomplete list
+ */
+export interface MentionSuggestion {
+  label: string;
+  /** Where the item is, e.g. its folder or "open editor" */
+  detail?: string;
+  attachment: Attachment;
+}
+
+/**
+ * Context window use of the next request, for the meter in the chat header
+ */
+export interface ContextUsage {
+  usedTokens: number;
+  budget: number;
+  contextWindow: number;
+  droppedMessages: number;
+  truncatedMessages: number;
 }
@@ -3,8 +3,11 @@
  */
 
 import * as vscode from 'vscode';
+import * as fs from 'fs';
 import * as path from 'path';
-import { LLMConfig } from './types';
+import { getActiveProfileName, getProfile, getTokenEndpoint } from './profiles';
+import { getStoredToken } from './secrets';
+import { LLMConfig, LLMProvider, LLMResponseStats, RedactionMode, RedactionPattern } from './types';
 
 /**
  * Gets the active workspace folder.
@@ -54,8 +57,9 @@ export function validateRelativePath(relPath: string): void {
     throw new Error('Absolute paths are not allowed');
   }
 
-  // Check for parent directory traversal
-  if (normalized.includes('..')) {
+  // Check for parent directory traversal (whole segments only, so names
+  // like "foo..bar.ts" are fine)
+  if (normalized.split(/[\\/]+/).includes('..')) {
     throw new Error('Path traversal (..) is not allowed');
   }
 
@@ -78,23 +82,158 @@ export function validateRelativePath(relPath: string): void {
 }
 
 /**
- * Gets the current LLM configuration from workspace settings
+ * Resolves a relative path inside a workspace folder and verifies that it
+ * really stays there: the real paths of the target (or, if it does not
+ * exist yet, its nearest existing ancestor) must be inside the real path of
+ * the workspace folder, so symlinks cannot point reads or writes outside.
+ *
+ * @param workspace - The workspace folder the path is relative to
+ * @param relPath - The relative path to resolve
+ * @returns The URI of the target inside the workspace
+ * @throws Error if the path is invalid or escapes the workspace
+ */
+export async function resolveWorkspacePath(
+  workspace: vscode.WorkspaceFolder,
+  relPath: string
+): Promise<vscode.Uri> {
+  validateRelativePath(relPath);
+
+  const fileUri = vscode.Uri.joinPath(workspace.uri, relPath);
+
+  // Symlinks can only be resolved on the local file system
+  if (workspace.uri.scheme !== 'file') {
+    return fileUri;
+  }
+
+  const root = await fs.promises.realpath(workspace.uri.fsPath);
+  const target = path.join(workspace.uri.fsPath, relPath);
+
+  const realTarget = await realpathOfNearestExisting(target);
+  if (!isPathInside(realTarget, root)) {
+    throw new Error(`Path "${relPath}" resolves outside the workspace`);
+  }
+
+  return fileUri;
+}
+
+/**
+ * Gets where a workspace-relative path really points, as a path relative
+ * to the real path of the workspace folder (with `/` separators), so rules
+ * about workspace paths also hold for files reached through symlinks
+ *
+ * @throws Error if the path is invalid or escapes the workspace
+ */
+export async function resolveRealRelativePath(
+  workspace: vscode.WorkspaceFolder,
+  relPath: string
+): Promise<string> {
+  await resolveWorkspacePath(workspace, relPath);
+  if (workspace.uri.scheme !== 'file') {
+    return relPath;
+  }
+
+  const root = await fs.promises.realpath(workspace.uri.fsPath);
+  const realTarget = await realpathOfNearestExisting(path.join(workspace.uri.fsPath, relPath));
+  return path.relative(root, realTarget).split(path.sep).join('/');
+}
+
+/**
+ * Resolves the real path of a file, or of its nearest existing ancestor
+ * joined with the part that does not exist yet
+ *
+ * @throws Error if the path or one of its ancestors is a broken symlink
+ */
+export async function realpathOfNearestExisting(target: string): Promise<string> {
+  const missing: string[] = [];
+  let current = target;
+
+  for (;;) {
+    try {
+      const real = await fs.promises.realpath(current);
+      return path.join(real, ...missing);
+    } catch (error: any) {
+      if (error?.code !== 'ENOENT' && error?.code !== 'ENOTDIR') {
+        throw error;
+      }
+    }
+
+    // A link whose target is missing would be followed when writing
+    const isBrokenLink = await fs.promises.lstat(current).then(
+      stat => stat.isSymbolicLink(),
+      () => false
+    );
+    if (isBrokenLink) {
+      throw new Error(`"${path.basename(current)}" is a broken symbolic link`);
+    }
+
+    const parent = path.dirname(current);
+    if (parent === current) {
+      return target;
+    }
+    missing.unshift(path.basename(current));
+    current = parent;
+  }
+}
+
+/**
+ * Whether file names are compared without regard to case, as on the
+ * default file systems of Windows and macOS
+ */
+export function isCaseInsensitiveFileSystem(): boolean {
+  return process.platform === 'win32' || process.platform === 'darwin';
+}
+
+/**
+ * Whether a path equals or lies below a directory. Case-insensitive on
+ * Windows and macOS, whose file systems are case-insensitive by default.
+ */
+function isPathInside(child: string, parent: string): boolean {
+  const caseInsensitive = isCaseInsensitiveFileSystem();
+  const a = caseInsensitive ? child.toLowerCase() : child;
+  const b = caseInsensitive ? parent.toLowerCase() : parent;
+
+  const relative = path.relative(b, a);
+  return relative === '' ||
+    (relative !== '..' && !relative.startsWith(`..${path.sep}`) && !path.isAbsolute(relative));
+}
+
+/**
+ * Gets the current LLM configuration from workspace settings, with the
+ * fields of a connection profile merged over them
+ *
+ * @param profileName - Profile to merge, e.g. one pinned to a session;
+ *                      defaults to `localLLM.activeProfile`
  */
-export function getLLMConfig(): LLMConfig {
+export function getLLMConfig(profileName?: string): LLMConfig {
   const config = vscode.workspace.getConfiguration('localLLM');
+  const profile = getProfile(profileName) ?? getProfile(getActiveProfileName());
+  const apiUrl = profile?.apiUrl ?? config.get<string>('apiUrl') ?? 'http://localhost:11434/v1/chat/completions';
 
   return {
-    apiUrl: config.get<string>('apiUrl') ?? 'http://localhost:11434/v1/chat/completions',
-    token: config.get<string>('token') ?? 'ollama',
-    model: config.get<string>('model') ?? 'llama3.2',
-    temperature: config.get<number>('temperature') ?? 0.7,
-    maxTokens: config.get<number>('maxTokens') ?? 2048,
+    profile: profile?.name,
+    provider: profile?.provider ?? config.get<LLMProvider>('provider') ?? 'openai-compatible',
+    apiUrl,
+    token: getStoredToken(getTokenEndpoint(profile, apiUrl)) ?? config.get<string>('token') ?? 'ollama',
+    model: profile?.model ?? config.get<string>('model') ?? 'llama3.2',
+    temperature: profile?.temperature ?? config.get<number>('temperature') ?? 0.7,
+    maxTokens: profile?.maxTokens ?? config.get<number>('maxTokens') ?? 2048,
     systemPrompt: config.get<string>('systemPrompt') ??
-      'You are a helpful coding assistant inside VS Code. Keep answers concise. When proposing file content, respond with a fenced code block beginning with ```file path="relative/path.ext" followed by the complete file content.',
-    maxHistoryMessages: config.get<number>('maxHistoryMessages') ?? 50,
-    requestTimeout: config.get<number>('requestTimeout') ?? 120000,
+      'You are a helpful coding assistant inside VS Code. Keep answers concise. When proposing a new file or a full rewrite, respond with a fenced code block beginning with ```file path="relative/path.ext" followed by the complete file content. To change part of an existing file, respond with a fenced code block beginning with ```edit path="relative/path.ext" containing one or more hunks, each made of a line <<<<<<< SEARCH, the exact existing lines to replace (enough to be unique), a line =======, the new lines, and a line >>>>>>> REPLACE.',
+    contextWindow: profile?.contextWindow ?? config.get<number>('contextWindow') ?? 8192,
+    modelContextWindows: config.get<Record<string, number>>('modelContextWindows') ?? {},
+    autoCompact: config.get<boolean>('autoCompact') ?? false,
+    requestTimeout: profile?.requestTimeout ?? config.get<number>('requestTimeout') ?? 120000,
     maxFileSize: config.get<number>('maxFileSize') ?? 1048576,
-    allowWriteWithoutPrompt: config.get<boolean>('allowWriteWithoutPrompt') ?? false,
+    // From the user settings only, like the rest of the write policy (see writePolicy.ts)
+    allowWriteWithoutPrompt: config.inspect<boolean>('allowWriteWithoutPrompt')?.globalValue ?? false,
+    streaming: config.get<boolean>('streaming') ?? true,
+    // From the user settings only, so a repository can't turn redaction off for its own files
+    redactSecrets: config.inspect<RedactionMode>('redactSecrets')?.globalValue ?? 'redact',
+    redactionPatterns: (config.get<Array<RedactionPattern | string>>('redactionPatterns') ?? [])
+      .map(p => typeof p === 'string' ? { pattern: p } : p),
+    headers: { ...(profile?.headers ?? {}) },
+    maxRetries: config.get<number>('maxRetries') ?? 3,
+    retryBaseDelay: config.get<number>('retryBaseDelay') ?? 1000,
   };
 }
 
@@ -131,6 +270,22 @@ export function validateFileContent(content: string, maxSize: number): void {
   }
 }
 
+/**
+ * Splits command arguments at whitespace; double quotes keep an argument
+ * with spaces together, e.g. a path
+ */
+export function splitArguments(text: string): string[] {
+  const args: string[] = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    const arg = match[1] ?? match[2];
+    if (arg) {
+      args.push(arg);
+    }
+  }
+  return args;
+}
+
 /**
  * Formats bytes into human-readable string
  */
@@ -144,6 +299,56 @@ export function formatBytes(bytes: number): string {
   return Math.round((bytes / Math.pow(k, i)) * 100) / 100 + ' ' + sizes[i];
 }
 
+/**
+ * Formats generation stats into a short summary,
+ * e.g. "128 tokens · 3.2s · 40.1 tok/s"
+ */
+export function formatResponseStats(stats: LLMResponseStats | undefined): string {
+  if (!stats) return '';
+
+  const parts: string[] = [];
+
+  if (stats.completionTokens !== undefined) {
+    parts.push(`${stats.completionTokens} tokens`);
+  }
+
+  if (stats.totalDurationMs !== undefined) {
+    parts.push(`${(stats.totalDurationMs / 1000).toFixed(1)}s`);
+  }
+
+  if (stats.tokensPerSecond !== undefined) {
+    parts.push(`${stats.tokensPerSecond.toFixed(1)} tok/s`);
+  }
+
+  if (stats.loadDurationMs !== undefined && stats.loadDurationMs >= 1000) {
+    parts.push(`model load ${(stats.loadDurationMs / 1000).toFixed(1)}s`);
+  }
+
+  return parts.join(' · ');
+}
+
+/**
+ * Maps a Markdown fence language (e.g. `ts`, `py`, `sh`) to a VS Code
+ * language id. Unknown names are returned lower-cased, empty ones as plaintext.
+ */
+export function toLanguageId(language: string | undefined): string {
+  const aliases: { [key: string]: string } = {
+    js: 'javascript', jsx: 'javascriptreact', mjs: 'javascript', cjs: 'javascript',
+    ts: 'typescript', tsx: 'typescriptreact',
+    py: 'python', rb: 'ruby', rs: 'rust', cs: 'csharp', kt: 'kotlin',
+    sh: 'shellscript', bash: 'shellscript', zsh: 'shellscript', shell: 'shellscript',
+    ps1: 'powershell', pwsh: 'powershell', yml: 'yaml', md: 'markdown',
+    'c++': 'cpp', hpp: 'cpp', h: 'c', golang: 'go', patch: 'diff', text: 'plaintext', txt: 'plaintext'
+  };
+
+  const lower = (language ?? '').trim().toLowerCase();
+  if (!lower) {
+    return 'plaintext';
+  }
+
+  return aliases[lower] ?? lower;
+}
+
 /**
  * Escapes HTML to prevent XSS
  */
@@ -159,27 +364,6 @@ export function escapeHtml(text: string): string {
   return text.replace(/[&<>"']/g, (m) => map[m]);
 }
 
-/**
- * Trims message history to maximum length
- */
-export function trimMessageHistory<T extends { role: string }>(
-  messages: T[],
-  maxMessages: number
-): T[] {
-  if (messages.length <= maxMessages) {
-    return messages;
-  }
-
-  // Always keep the system message if present
-  const systemMessages = messages.filter(m => m.role === 'system');
-  const otherMessages = messages.filter(m => m.role !== 'system');
-
-  // Keep the most recent messages
-  const recentMessages = otherMessages.slice(-maxMessages + systemMessages.length);
-
-  return [...systemMessages, ...recentMessages];
-}
-
 /**
  * Reads a file from the workspace
  * @param relPath - Relative path from workspace root
@@ -193,7 +377,7 @@ export async function readWorkspaceFile(relPath: string): Promise<string> {
     throw new Error('No workspace folder open');
   }
 
-  const fileUri = vscode.Uri.joinPath(workspace.uri, relPath);
+  const fileUri = await resolveWorkspacePath(workspace, relPath);
 
   try {
     const content = await vscode.workspace.fs.readFile(fileUri);
@@ -223,7 +407,7 @@ export async function listWorkspaceFiles(
   }
 
   const dirUri = relPath
-    ? vscode.Uri.joinPath(workspace.uri, relPath)
+    ? await resolveWorkspacePath(workspace, relPath)
     : workspace.uri;
 
   try {
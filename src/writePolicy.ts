@@ -0,0 +1,163 @@
+/**
+ * Write policy: where the extension may write files and whether it asks first
+ */
+
+import * as vscode from 'vscode';
+import * as path from 'path';
+import { isCaseInsensitiveFileSystem, resolveRealRelativePath } from './utils';
+
+/**
+ * Effective write policy from the user settings
+ */
+export interface WritePolicy {
+  // Skip the diff preview / file checklist before writing
+  allowWithoutPrompt: boolean;
+  // If non-empty, only paths matching one of these globs may be written
+  allowList: string[];
+  // Paths matching one of these globs may never be written
+  denyList: string[];
+}
+
+export const DEFAULT_WRITE_DENY_LIST = [
+  '**/.env',
+  '**/.env.*',
+  '.git/**',
+  '.github/**',
+  '.vscode/**'
+];
+
+/**
+ * Reads a write policy setting from the user settings only. A cloned
+ * repository's workspace settings must not be able to loosen the policy
+ * (the settings are also application-scoped).
+ */
+function getUserSetting<T>(key: 'allowWriteWithoutPrompt' | 'writeAllowList' | 'writeDenyList'): T | undefined {
+  return vscode.workspace.getConfiguration('localLLM').inspect<T>(key)?.globalValue;
+}
+
+/**
+ * Reads the write policy from the user settings
+ */
+export function getWritePolicy(): WritePolicy {
+  return {
+    allowWithoutPrompt: getUserSetting<boolean>('allowWriteWithoutPrompt') ?? false,
+    allowList: getUserSetting<string[]>('writeAllowList') ?? [],
+    denyList: getUserSetting<string[]>('writeDenyList') ?? DEFAULT_WRITE_DENY_LIST
+  };
+}
+
+/**
+ * Checks a workspace-relative path against the allow and deny lists.
+ * The deny list wins over the allow list.
+ *
+ * @throws Error naming the rule that blocks the write
+ */
+export function assertWriteAllowed(relPath: string, policy: WritePolicy = getWritePolicy()): void {
+  const normalized = normalizePath(relPath);
+
+  const denied = policy.denyList.find(glob => matchesGlob(normalized, glob));
+  if (denied) {
+    throw new Error(`Writing "${relPath}" is blocked by localLLM.writeDenyList ("${denied}")`);
+  }
+
+  if (policy.allowList.length > 0 && !policy.allowList.some(glob => matchesGlob(normalized, glob))) {
+    throw new Error(`Writing "${relPath}" is not permitted by localLLM.writeAllowList`);
+  }
+}
+
+/**
+ * Checks both the path as given and where it really points against the
+ * policy, so a symlink inside the workspace (e.g. `docs/ci -> ../.github`)
+ * can't be used to write to a denied location
+ *
+ * @throws Error if the path escapes the workspace or a rule blocks the write
+ */
+export async function assertResolvedWriteAllowed(
+  workspace: vscode.WorkspaceFolder,
+  relPath: string,
+  policy: WritePolicy = getWritePolicy()
+): Promise<void> {
+  assertWriteAllowed(relPath, policy);
+
+  const realPath = await resolveRealRelativePath(workspace, relPath);
+  if (normalizePath(realPath) === normalizePath(relPath)) {
+    return;
+  }
+  try {
+    assertWriteAllowed(realPath, policy);
+  } catch (error: any) {
+    throw new Error(`"${relPath}" is a link to "${realPath}": ${error?.message ?? error}`);
+  }
+}
+
+/**
+ * Whether a path is writable under the policy
+ */
+export function isWriteAllowed(relPath: string, policy: WritePolicy = getWritePolicy()): boolean {
+  try {
+    assertWriteAllowed(relPath, policy);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tests a workspace-relative path against a glob. Supports `**`, `*`, `?`
+ * and `{a,b}`; like `files.exclude`, patterns are matched from the
+ * workspace root, so use `**\/name` to match at any depth.
+ */
+export function matchesGlob(relPath: string, glob: string): boolean {
+  return globToRegExp(glob.trim().replace(/\\/g, '/').replace(/^\.\//, '')).test(relPath);
+}
+
+/**
+ * Brings a path into the form globs are matched against: `/` separators,
+ * no empty or `.` segments and no leading `./`, so `.//.github/x` and
+ * `././.github/x` are treated as `.github/x`
+ */
+function normalizePath(relPath: string): string {
+  return path.posix.normalize(relPath.replace(/\\/g, '/')).replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Converts a glob to an anchored regular expression
+ */
+function globToRegExp(glob: string): RegExp {
+  let source = '';
+  let inGroup = false;
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+
+    if (char === '*') {
+      if (glob[i + 1] === '*') {
+        // `**/` matches zero or more directories; a trailing `**` matches everything below
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{') {
+      inGroup = true;
+      source += '(?:';
+    } else if (char === '}' && inGroup) {
+      inGroup = false;
+      source += ')';
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // Like the file system: `.GitHub/x` is `.github/x` on Windows and macOS
+  return new RegExp(`^${source}$`, isCaseInsensitiveFileSystem() ? 'i' : '');
+}